@@ -0,0 +1,258 @@
+const { findColumnIndex, normalizePeriod } = require('./row-utils');
+const { parseNumber } = require('./number-parsing');
+
+const UNKNOWN_LABEL = 'Unknown';
+// Columns that describe a row rather than measure it.
+const LABEL_COLUMNS = new Set([
+  'date',
+  'clinic',
+  'doctor id',
+  'doctor name',
+  'department id',
+  'department name',
+  'common doctor name',
+  'common department name',
+  'slot',
+]);
+// Shares and averages do not add up over a department's doctors.
+const NON_ADDITIVE_COLUMN = /%|percent|share|avg|average|mean|rate|ratio/i;
+// A z-score over fewer months says little.
+const MIN_ZSCORE_MONTHS = 3;
+const ANOMALY_HEADER = ['Date', 'Clinic', 'Report', 'Type', 'Subject', 'Metric', 'Previous', 'Current', 'Change %', 'Z-Score', 'Note'];
+
+/**
+ * Compare a clinic's month with its earlier months. `current` and `history`
+ * hold { revenue, department } rows (header first) for the clinic: the
+ * upload, and what the Revenue and Department Wise tabs already hold (only
+ * months before `period` are used, the latest `thresholds.historyMonths`).
+ *
+ * Doctors come from the Revenue report (the Department report when no
+ * revenue was uploaded); departments sum their doctors' rows. Flags:
+ *
+ *   swing     a metric moved by `percentChange` percent or more since the
+ *             previous month, or lies `zScore` standard deviations or more
+ *             from the earlier months' mean; skipped when both values are
+ *             below `ignoreBelow`
+ *   missing   a doctor in the previous month's report is not in this one
+ *   new       a doctor never seen at this clinic before
+ *
+ * Returns [{ type, dataset, subject, metric, previous, current, change,
+ * zScore, note }]; `change` is a percentage, `zScore` null when it was not
+ * computed. A report without earlier months yields no flags.
+ */
+function detectAnomalies({ period, current = {}, history = {}, thresholds = {} }) {
+  const target = normalizePeriod(period);
+  const doctorDataset = current.revenue && current.revenue.length > 1 ? 'revenue' : 'department';
+  const anomalies = [];
+
+  if (current.revenue && current.revenue.length > 1) {
+    anomalies.push(...compareSeries('revenue', 'doctor', current.revenue, history.revenue, target, thresholds));
+  }
+  if (current.department && current.department.length > 1) {
+    anomalies.push(...compareSeries('department', 'department', current.department, history.department, target, thresholds));
+  }
+  if (current[doctorDataset] && current[doctorDataset].length > 1) {
+    anomalies.push(...compareDoctors(doctorDataset, current[doctorDataset], history[doctorDataset], target, thresholds));
+  }
+  return anomalies;
+}
+
+/** Rows for the Anomalies tab, header first; the header alone when nothing was flagged. */
+function buildAnomalyRows({ clinic, period, anomalies }) {
+  const date = normalizePeriod(period);
+  return [
+    ANOMALY_HEADER,
+    ...anomalies.map((anomaly) => [
+      date,
+      clinic,
+      anomaly.dataset === 'revenue' ? 'Revenue' : 'Department',
+      anomaly.type,
+      anomaly.subject,
+      anomaly.metric || '',
+      anomaly.previous ?? '',
+      anomaly.current ?? '',
+      anomaly.change ?? '',
+      anomaly.zScore ?? '',
+      anomaly.note,
+    ]),
+  ];
+}
+
+function compareSeries(dataset, level, currentRows, historyRows, target, thresholds) {
+  const metrics = metricColumns(currentRows).filter((metric) => level === 'doctor' || !NON_ADDITIVE_COLUMN.test(metric));
+  const months = historyByMonth(historyRows, target, thresholds.historyMonths);
+  if (!months.length || !metrics.length) return [];
+
+  const currentTotals = totalsBy(currentRows, level, metrics);
+  const monthTotals = months.map(({ rows }) => totalsBy(rows, level, metrics));
+  const previousMonth = months[months.length - 1].month;
+  const anomalies = [];
+
+  currentTotals.forEach(({ label, values }, key) => {
+    // Subjects the clinic had before; brand-new doctors are flagged on their own.
+    const past = monthTotals.map((totals) => totals.get(key)).filter(Boolean);
+    if (!past.length) return;
+    const previousEntry = monthTotals[monthTotals.length - 1].get(key);
+
+    metrics.forEach((metric) => {
+      const value = values[metric];
+      if (value === undefined) return;
+      const series = past.map((entry) => entry.values[metric]).filter((number) => number !== undefined);
+      const previous = previousEntry ? previousEntry.values[metric] : undefined;
+      const swing = measureSwing(value, previous, series, thresholds);
+      if (!swing) return;
+
+      anomalies.push({
+        type: 'swing',
+        dataset,
+        subject: label,
+        metric,
+        previous: previous ?? null,
+        current: value,
+        change: swing.change,
+        zScore: swing.zScore,
+        note: describeSwing(metric, label, value, previous, previousMonth, swing, series.length),
+      });
+    });
+  });
+
+  return anomalies;
+}
+
+function measureSwing(value, previous, series, { percentChange = 50, zScore: zLimit = 3, ignoreBelow = 0 }) {
+  if (Math.abs(value) < ignoreBelow && (previous === undefined || Math.abs(previous) < ignoreBelow)) return null;
+
+  const change = previous !== undefined && previous !== 0 ? round(((value - previous) / Math.abs(previous)) * 100) : null;
+  let zScore = null;
+  if (series.length >= MIN_ZSCORE_MONTHS) {
+    const mean = series.reduce((sum, number) => sum + number, 0) / series.length;
+    const deviation = Math.sqrt(series.reduce((sum, number) => sum + (number - mean) ** 2, 0) / series.length);
+    if (deviation > 0) zScore = round((value - mean) / deviation);
+  }
+
+  const flagged = (change !== null && Math.abs(change) >= percentChange) || (zScore !== null && Math.abs(zScore) >= zLimit);
+  return flagged ? { change, zScore } : null;
+}
+
+function describeSwing(metric, label, value, previous, previousMonth, { change, zScore }, months) {
+  const parts = [`${metric} for ${label} is ${formatNumber(value)}`];
+  if (previous !== undefined) {
+    parts.push(`against ${formatNumber(previous)} in ${previousMonth.slice(0, 7)}${change !== null ? ` (${change > 0 ? '+' : ''}${change}%)` : ''}`);
+  }
+  if (zScore !== null) {
+    parts.push(`z-score ${zScore} over ${months} month(s)`);
+  }
+  return `${parts.join(', ')}.`;
+}
+
+function compareDoctors(dataset, currentRows, historyRows, target, thresholds) {
+  const months = historyByMonth(historyRows, target, thresholds.historyMonths);
+  if (!months.length) return [];
+
+  const currentDoctors = totalsBy(currentRows, 'doctor', []);
+  const previous = months[months.length - 1];
+  const previousDoctors = totalsBy(previous.rows, 'doctor', []);
+  const seenBefore = new Set(months.flatMap(({ rows }) => [...totalsBy(rows, 'doctor', []).keys()]));
+  const anomalies = [];
+
+  previousDoctors.forEach(({ label }, key) => {
+    if (currentDoctors.has(key)) return;
+    anomalies.push({
+      type: 'missing',
+      dataset,
+      subject: label,
+      note: `${label} was in the ${previous.month.slice(0, 7)} report but not in this one.`,
+    });
+  });
+  currentDoctors.forEach(({ label }, key) => {
+    if (seenBefore.has(key)) return;
+    anomalies.push({
+      type: 'new',
+      dataset,
+      subject: label,
+      note: `${label} has no rows in the previous ${months.length} month(s) at this clinic.`,
+    });
+  });
+  return anomalies;
+}
+
+/** Metric columns of a tab: numeric values only, label columns excluded. */
+function metricColumns(rows) {
+  const [header, ...dataRows] = rows;
+  return header.filter((name, index) => {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key || LABEL_COLUMNS.has(key)) return false;
+    const values = dataRows.map((row) => row[index]).filter((value) => value !== undefined && value !== '');
+    return values.length > 0 && values.every((value) => parseNumber(value) !== null);
+  });
+}
+
+/** Earlier months of a tab's rows, oldest first: [{ month, rows }] with each month's rows header first. */
+function historyByMonth(rows, target, limit = 6) {
+  if (!rows || rows.length < 2) return [];
+  const [header, ...dataRows] = rows;
+  const dateIndex = findColumnIndex(header, 'date');
+  if (dateIndex === -1) return [];
+
+  const months = new Map();
+  dataRows.forEach((row) => {
+    const month = normalizePeriod(row[dateIndex] ?? '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(month) || month >= target) return;
+    if (!months.has(month)) months.set(month, [header]);
+    months.get(month).push(row);
+  });
+  return [...months.keys()]
+    .sort()
+    .slice(-Math.max(1, limit))
+    .map((month) => ({ month, rows: months.get(month) }));
+}
+
+/**
+ * Sum `metrics` per doctor (Doctor ID, or the name for Unknown IDs) or per
+ * department (Common Department Name, else Department Name). Returns a Map
+ * of key to { label, values }.
+ */
+function totalsBy(rows, level, metrics) {
+  const [header, ...dataRows] = rows;
+  const column = (...names) => names.map((name) => findColumnIndex(header, name)).find((index) => index !== -1) ?? -1;
+  const idIndex = column(level === 'doctor' ? 'doctor id' : 'department id');
+  const nameIndex = level === 'doctor'
+    ? column('common doctor name', 'doctor name')
+    : column('common department name', 'department name');
+  const metricIndices = metrics.map((metric) => [metric, findColumnIndex(header, metric)]).filter(([, index]) => index !== -1);
+  const totals = new Map();
+
+  dataRows.forEach((row) => {
+    const id = idIndex === -1 ? '' : String(row[idIndex] ?? '').trim();
+    const name = nameIndex === -1 ? '' : String(row[nameIndex] ?? '').trim();
+    const knownId = id && id !== UNKNOWN_LABEL;
+    // Departments are compared by name: IDs differ between HIS exports of the same department.
+    const key = level === 'doctor' && knownId ? `id:${id}` : `name:${name.toLowerCase()}`;
+    if (key === 'name:' || key === `name:${UNKNOWN_LABEL.toLowerCase()}`) return;
+
+    if (!totals.has(key)) {
+      const label = level === 'doctor' && knownId && name ? `${name} (${id})` : name || id;
+      totals.set(key, { label, values: {} });
+    }
+    const { values } = totals.get(key);
+    metricIndices.forEach(([metric, index]) => {
+      const number = parseNumber(row[index]);
+      if (number !== null) values[metric] = round((values[metric] ?? 0) + number);
+    });
+  });
+  return totals;
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  ANOMALY_HEADER,
+  detectAnomalies,
+  buildAnomalyRows,
+};
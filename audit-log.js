@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('./data-store');
+
+const AUDIT_LOG_PATH = dataPath('submissions.jsonl');
+
+/**
+ * Append one submission to the JSONL audit log. Entries carry at least
+ * clinic, reportPeriod, files [{ field, name, sha256 }], tabs
+ * [{ tabName, rows, added, updated, removed }] and outcome ('synced' | 'failed' | 'cancelled'),
+ * plus `error` when the outcome is 'failed'.
+ */
+async function recordSubmission(entry) {
+  const record = { timestamp: new Date().toISOString(), ...entry };
+  await fs.promises.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+  await fs.promises.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(record)}\n`);
+  return record;
+}
+
+/** Read submissions newest first, optionally filtered by clinic and YYYY-MM period. */
+async function readSubmissions({ clinic = '', period = '' } = {}) {
+  let raw = '';
+  try {
+    raw = await fs.promises.readFile(AUDIT_LOG_PATH, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return raw
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .filter((entry) => !clinic || entry.clinic === clinic)
+    .filter((entry) => !period || String(entry.reportPeriod || '').startsWith(period))
+    .reverse();
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', resolve);
+  });
+  return hash.digest('hex');
+}
+
+module.exports = {
+  recordSubmission,
+  readSubmissions,
+  hashFile,
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { findUser, verifyCredentials } = require('./users');
+
+const SESSION_COOKIE = 'dallah_session';
+// Sessions live in memory: a restart signs everyone out.
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const sessions = new Map();
+
+function createSession(res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS });
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`,
+  );
+}
+
+function destroySession(req, res) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) sessions.delete(token);
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+}
+
+/**
+ * Resolve the signed-in user from the session cookie, or from HTTP Basic
+ * credentials so scripts can call the API. Accounts are re-read on every
+ * request, so role and clinic changes apply immediately.
+ */
+async function authenticate(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  const session = token ? sessions.get(token) : null;
+  if (session) {
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(token);
+    } else {
+      return findUser(session.username);
+    }
+  }
+
+  const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return verifyCredentials(decoded.slice(0, separator), decoded.slice(separator + 1));
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware that sets req.user or turns the request away: API paths get a
+ * JSON 401, pages are redirected to /login.
+ */
+function requireUser(req, res, next) {
+  authenticate(req)
+    .then((user) => {
+      if (user) {
+        req.user = user;
+        next();
+        return;
+      }
+      if (req.path.startsWith('/api/')) {
+        res.status(401).set('WWW-Authenticate', 'Basic realm="form-server"').json({
+          error: { code: 'UNAUTHENTICATED', message: 'Sign in or send HTTP Basic credentials.' },
+        });
+        return;
+      }
+      res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    })
+    .catch(next);
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const pair = header
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+module.exports = {
+  createSession,
+  destroySession,
+  requireUser,
+};
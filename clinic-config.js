@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// Override with CLINICS_CONFIG to point the CLI and form-server at another file.
+const CONFIG_PATH = process.env.CLINICS_CONFIG || path.join(__dirname, 'clinics.config.json');
+const TAB_KEYS = ['revenue', 'department', 'other', 'summary', 'anomalies'];
+// Tabs added after the first config files were written; used when a config leaves them out.
+const DEFAULT_TABS = { summary: 'Summary', anomalies: 'Anomalies' };
+const OVERRIDE_KEYS = ['spreadsheetId', 'tabs', 'slot', 'anomalies'];
+// Month-over-month checks, see anomaly-detection.js.
+const DEFAULT_ANOMALY_THRESHOLDS = { percentChange: 50, zScore: 3, ignoreBelow: 10, historyMonths: 6 };
+
+let cachedConfig = null;
+
+/**
+ * The clinics.config.json file shared by sync-to-sheets and form-server:
+ *
+ *   spreadsheetId   default Google Sheets target
+ *   tabs            { revenue, department, other, summary, anomalies } tab
+ *                   names (summary and anomalies default to "Summary" and
+ *                   "Anomalies")
+ *   slot            value of the Slot column added to department rows
+ *   anomalies       optional { percentChange, zScore, ignoreBelow,
+ *                   historyMonths } for the month-over-month checks
+ *   clinics         [{ name, spreadsheetId?, tabs?, slot?, anomalies? }]; the optional
+ *                   fields override the defaults for that clinic only
+ *
+ * Read and validated once per process; throws listing every problem found.
+ */
+function loadClinicConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read clinic config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = validateClinicConfig(raw);
+  if (problems.length) {
+    throw new Error(`Invalid clinic config ${CONFIG_PATH}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+
+  cachedConfig = raw;
+  return cachedConfig;
+}
+
+function validateClinicConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['The config must be a JSON object.'];
+  }
+
+  const problems = [];
+  if (!isNonEmptyString(config.spreadsheetId)) {
+    problems.push('"spreadsheetId" must be a non-empty string.');
+  }
+  problems.push(...validateTabs(config.tabs, 'tabs', true));
+  if (!isSlot(config.slot)) {
+    problems.push('"slot" must be a non-negative number.');
+  }
+  if (config.anomalies !== undefined) {
+    problems.push(...validateAnomalyThresholds(config.anomalies, 'anomalies'));
+  }
+
+  if (!Array.isArray(config.clinics) || !config.clinics.length) {
+    problems.push('"clinics" must list at least one clinic.');
+    return problems;
+  }
+
+  const seen = new Set();
+  config.clinics.forEach((clinic, index) => {
+    const where = `clinics[${index}]`;
+    if (!clinic || !isNonEmptyString(clinic.name)) {
+      problems.push(`${where} needs a "name".`);
+      return;
+    }
+    if (seen.has(clinic.name)) {
+      problems.push(`Clinic "${clinic.name}" is listed more than once.`);
+    }
+    seen.add(clinic.name);
+
+    Object.keys(clinic)
+      .filter((key) => key !== 'name' && !OVERRIDE_KEYS.includes(key))
+      .forEach((key) => problems.push(`${where} ("${clinic.name}"): unknown setting "${key}".`));
+    if (clinic.spreadsheetId !== undefined && !isNonEmptyString(clinic.spreadsheetId)) {
+      problems.push(`${where} ("${clinic.name}"): "spreadsheetId" must be a non-empty string.`);
+    }
+    if (clinic.tabs !== undefined) {
+      problems.push(...validateTabs(clinic.tabs, `${where}.tabs`, false));
+    }
+    if (clinic.slot !== undefined && !isSlot(clinic.slot)) {
+      problems.push(`${where} ("${clinic.name}"): "slot" must be a non-negative number.`);
+    }
+    if (clinic.anomalies !== undefined) {
+      problems.push(...validateAnomalyThresholds(clinic.anomalies, `${where}.anomalies`));
+    }
+  });
+
+  return problems;
+}
+
+function validateTabs(tabs, where, requireAll) {
+  if (!tabs || typeof tabs !== 'object' || Array.isArray(tabs)) {
+    return [`"${where}" must be an object with ${TAB_KEYS.join(', ')} tab names.`];
+  }
+  const problems = Object.keys(tabs)
+    .filter((key) => !TAB_KEYS.includes(key))
+    .map((key) => `"${where}.${key}" is not a known tab; use ${TAB_KEYS.join(', ')}.`);
+  TAB_KEYS
+    .filter((key) => ((requireAll && !DEFAULT_TABS[key]) || tabs[key] !== undefined) && !isNonEmptyString(tabs[key]))
+    .forEach((key) => problems.push(`"${where}.${key}" must be a non-empty tab name.`));
+  return problems;
+}
+
+function validateAnomalyThresholds(thresholds, where) {
+  const keys = Object.keys(DEFAULT_ANOMALY_THRESHOLDS);
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return [`"${where}" must be an object with ${keys.join(', ')}.`];
+  }
+  const problems = Object.keys(thresholds)
+    .filter((key) => !keys.includes(key))
+    .map((key) => `"${where}.${key}" is not a known threshold; use ${keys.join(', ')}.`);
+  keys
+    .filter((key) => thresholds[key] !== undefined && !isSlot(thresholds[key]))
+    .forEach((key) => problems.push(`"${where}.${key}" must be a non-negative number.`));
+  if (thresholds.historyMonths !== undefined && !(Number.isInteger(thresholds.historyMonths) && thresholds.historyMonths >= 1)) {
+    problems.push(`"${where}.historyMonths" must be a whole number of at least 1.`);
+  }
+  return problems;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isSlot(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function listClinicNames() {
+  return loadClinicConfig().clinics.map((clinic) => clinic.name);
+}
+
+/**
+ * Effective { name, spreadsheetId, tabs, slot, anomalies } for a clinic: its
+ * overrides on top of the defaults. Clinics missing from the config get the
+ * defaults.
+ */
+function getClinicSettings(clinicName) {
+  const config = loadClinicConfig();
+  const clinic = config.clinics.find((entry) => entry.name === clinicName) || {};
+  return {
+    name: clinicName,
+    spreadsheetId: clinic.spreadsheetId || config.spreadsheetId,
+    tabs: { ...DEFAULT_TABS, ...config.tabs, ...clinic.tabs },
+    slot: clinic.slot ?? config.slot,
+    anomalies: { ...DEFAULT_ANOMALY_THRESHOLDS, ...config.anomalies, ...clinic.anomalies },
+  };
+}
+
+module.exports = {
+  loadClinicConfig,
+  validateClinicConfig,
+  listClinicNames,
+  getClinicSettings,
+};
@@ -0,0 +1,107 @@
+const { findColumnIndex, normalizePeriod } = require('./row-utils');
+const { parseNumber } = require('./number-parsing');
+
+const UNKNOWN_LABEL = 'Unknown';
+const SUMMARY_HEADER = [
+  'Date',
+  'Clinic',
+  'Total Revenue',
+  'Doctors',
+  'Revenue per Doctor',
+  'Patients',
+  'Slot',
+  'Patients per Slot',
+  'Complaints',
+  'Complaints per 1,000 Visits',
+  'Referrals',
+];
+
+/**
+ * The Summary tab row management used to build by hand: one row per clinic
+ * and month, from that month's Revenue, Department Wise and Other rows
+ * (`revenue`, `department`, `other`: header first, already limited to the
+ * clinic and month).
+ *
+ *   Total Revenue        sum of the Revenue tab's revenue column (the
+ *                        Department Wise one when there are no revenue rows)
+ *   Revenue per Doctor   over the distinct doctor IDs in those rows
+ *   Patients             sum of the Department Wise patients (else visits) column
+ *   Patients per Slot    Patients over the clinic's `slot` setting
+ *   Complaints per 1,000 Visits
+ *                        medical plus administrative complaints per 1,000 visits
+ *   Referrals            from the Other tab
+ *
+ * A KPI whose inputs are missing, or that would divide by zero, is left blank.
+ * Returns [header, row], or [] without a clinic and period.
+ */
+function buildSummaryRows({ clinic, period, slot, revenue = [], department = [], other = [] }) {
+  if (!clinic || !period) return [];
+
+  const revenueSource = columnTotal(revenue, /revenue/i) !== null ? revenue : department;
+  const totalRevenue = columnTotal(revenueSource, /revenue/i);
+  const doctors = countDoctors(revenueSource);
+  const patients = columnTotal(department, /patient/i) ?? columnTotal(department, /visit/i);
+  const visits = columnTotal(department, /visit/i) ?? patients;
+  const medicalComplaints = columnTotal(other, /^medical complaints$/i);
+  const administrativeComplaints = columnTotal(other, /^administrative complaints$/i);
+  const complaints = medicalComplaints === null && administrativeComplaints === null
+    ? null
+    : (medicalComplaints ?? 0) + (administrativeComplaints ?? 0);
+
+  const row = [
+    normalizePeriod(period),
+    clinic,
+    totalRevenue,
+    doctors || null,
+    ratio(totalRevenue, doctors),
+    patients,
+    slot ?? null,
+    ratio(patients, slot),
+    complaints,
+    ratio(complaints === null ? null : complaints * 1000, visits),
+    columnTotal(other, /^referrals$/i),
+  ].map((value) => (typeof value === 'number' ? round(value) : value ?? ''));
+
+  return [SUMMARY_HEADER, row];
+}
+
+/**
+ * Sum of the first column whose name matches `pattern` (an exact-word match
+ * such as "Revenue" wins over "Revenue Share"); null when no column matches
+ * or no row has a number in it, so a missing report leaves its KPIs blank.
+ */
+function columnTotal(rows, pattern) {
+  if (!rows.length) return null;
+  const [header, ...dataRows] = rows;
+  const candidates = header.map((cell, index) => ({ name: String(cell || '').trim(), index }))
+    .filter(({ name }) => pattern.test(name) && !/%|share|avg|average|per /i.test(name));
+  if (!candidates.length) return null;
+
+  const exact = candidates.find(({ name }) => name.split(/\s+/).length === 1) || candidates[0];
+  const numbers = dataRows.map((row) => parseNumber(row[exact.index])).filter((number) => number !== null);
+  return numbers.length ? numbers.reduce((sum, number) => sum + number, 0) : null;
+}
+
+function countDoctors(rows) {
+  if (!rows.length) return 0;
+  const idIndex = findColumnIndex(rows[0], 'doctor id');
+  if (idIndex === -1) return 0;
+  const ids = rows.slice(1)
+    .map((row) => String(row[idIndex] ?? '').trim())
+    .filter((id) => id && id !== UNKNOWN_LABEL);
+  return new Set(ids).size;
+}
+
+function ratio(numerator, denominator) {
+  if (numerator === null || !denominator) return null;
+  return numerator / denominator;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SUMMARY_HEADER,
+  buildSummaryRows,
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const { parse } = require('fast-csv');
+const { detectEncoding, readTextFile, createDecodeStream, stripBidiMarks } = require('./text-encoding');
+
+const DELIMITERS = [',', ';', '\t'];
+// Enough of the file to guess the charset and see the header line for the delimiter.
+const SNIFF_BYTES = 64 * 1024;
+const MAX_ERRORS = 25;
+
+/**
+ * Read a CSV file (RFC 4180: quoted fields may hold delimiters, "" and line
+ * breaks) as rows of trimmed strings, header first. The charset comes from
+ * the BOM (UTF-8 or UTF-16, as Excel's "Unicode Text" saves) or the bytes
+ * themselves (see detectEncoding()), bidi marks are dropped, and the
+ * delimiter (comma, semicolon or tab) is taken from the header line unless
+ * given. Blank lines are skipped.
+ *
+ * Resolves to { rows, errors, delimiter }; `errors` are "Line N: ..." messages
+ * for malformed quoting (rows are then empty) and for rows with more cells
+ * than the header.
+ */
+async function readCsvFile(filePath, { delimiter } = {}) {
+  const head = await readHead(filePath);
+  const encoding = detectEncoding(head);
+  const separator = delimiter || detectDelimiter(new TextDecoder(encoding).decode(head));
+  const rows = [];
+  const errors = [];
+  let line = 1;
+
+  try {
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath)
+        .pipe(createDecodeStream(encoding))
+        .pipe(parse({ delimiter: separator }))
+        .on('data', (cells) => {
+          const rowLine = line;
+          line += 1 + cells.reduce((count, cell) => count + countLineBreaks(cell), 0);
+
+          const row = cells.map((cell) => stripBidiMarks(cell).trim());
+          if (row.every((cell) => cell === '')) return;
+          if (rows.length && row.length > rows[0].length) {
+            const extra = row.slice(rows[0].length);
+            if (extra.some((cell) => cell !== '')) {
+              errors.push(`Line ${rowLine}: ${row.length} cells but the header has ${rows[0].length}. Is a value with "${separator === '\t' ? 'tab' : separator}" missing its quotes?`);
+            }
+            row.length = rows[0].length;
+          }
+          rows.push(row);
+        })
+        .on('error', reject)
+        .on('end', resolve);
+    });
+  } catch (error) {
+    const { text } = await readTextFile(filePath);
+    return { rows: [], errors: [locateQuoteError(text, separator) || error.message], delimiter: separator };
+  }
+
+  if (errors.length > MAX_ERRORS) {
+    const hidden = errors.length - MAX_ERRORS;
+    errors.splice(MAX_ERRORS, hidden, `... and ${hidden} more malformed row(s).`);
+  }
+  return { rows, errors, delimiter: separator };
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/** The candidate that splits the first non-blank line (outside quotes) most often; comma on a tie. */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((candidate) => [candidate, 0]));
+  let inQuotes = false;
+  let started = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (started) break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+    if (char.trim()) started = true;
+  }
+
+  return DELIMITERS.reduce((best, candidate) => (counts.get(candidate) > counts.get(best) ? candidate : best));
+}
+
+/**
+ * fast-csv stops at the first quoting error without saying where; walk the
+ * text the same way to report the line.
+ */
+function locateQuoteError(text, delimiter) {
+  let line = 1;
+  let quoteLine = 0;
+  let inQuotes = false;
+  let atFieldStart = true;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+        const next = text[i + 1];
+        if (next !== undefined && next !== delimiter && next !== '\n' && next !== '\r' && next.trim()) {
+          return `Line ${line}: unexpected "${next}" after a closing quote. Quotes inside a value must be doubled ("").`;
+        }
+      } else if (char === '\n') {
+        line += 1;
+      }
+      continue;
+    }
+
+    if (char === '"' && atFieldStart) {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === '\n') {
+      line += 1;
+    }
+    if (char === delimiter || char === '\n') {
+      atFieldStart = true;
+    } else if (char.trim()) {
+      atFieldStart = false;
+    }
+  }
+
+  return inQuotes ? `Line ${quoteLine}: a quoted value is never closed.` : null;
+}
+
+function countLineBreaks(value) {
+  return (value.match(/\r\n|\r|\n/g) || []).length;
+}
+
+module.exports = {
+  readCsvFile,
+  detectDelimiter,
+};
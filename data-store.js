@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local state (audit log, snapshots, ...) lives here; override with DATA_DIR.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Pending writes per file, so writes from concurrent requests run one at a time.
+const writeQueues = new Map();
+let tempFileCount = 0;
+
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/** Write through a temp file and rename so readers never see a half-written file. */
+function writeJsonFile(filePath, value) {
+  return queueWrite(filePath, () => replaceJsonFile(filePath, value));
+}
+
+/**
+ * Read-modify-write without losing a concurrent update: `update(value)` runs
+ * after the file's earlier writes finish and before later ones start. It may
+ * change `value` in place or return the new value; throwing leaves the file
+ * alone. Resolves to the value written.
+ */
+function updateJsonFile(filePath, fallback, update) {
+  return queueWrite(filePath, async () => {
+    const current = await readJsonFile(filePath, fallback);
+    const next = await update(current);
+    const value = next === undefined ? current : next;
+    await replaceJsonFile(filePath, value);
+    return value;
+  });
+}
+
+function queueWrite(filePath, task) {
+  const key = path.resolve(filePath);
+  const result = (writeQueues.get(key) || Promise.resolve()).then(task);
+  const settled = result.catch(() => {});
+  writeQueues.set(key, settled);
+  settled.then(() => {
+    if (writeQueues.get(key) === settled) writeQueues.delete(key);
+  });
+  return result;
+}
+
+async function replaceJsonFile(filePath, value) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  tempFileCount += 1;
+  const tempPath = `${filePath}.${process.pid}.${tempFileCount}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJsonFile,
+  writeJsonFile,
+  updateJsonFile,
+};
@@ -0,0 +1,196 @@
+const { parseNumber } = require('./number-parsing');
+
+/**
+ * Schemas for the CSV datasets sync-to-sheets accepts. Columns listed in
+ * `columns` are checked by type (`id` must be numeric or Unknown, `text` is
+ * free-form). Any other column whose values are mostly numbers (as
+ * parseNumber() reads them: "1,234.50", "(250)", "SAR 1,200", Arabic
+ * digits) is treated as a metric, and every value in it must be one.
+ * `ranges` apply to metric columns whose header matches `match`.
+ * `uniqueKey` values must not repeat within a file (Unknown IDs are skipped).
+ */
+const DATASET_SCHEMAS = {
+  revenue: {
+    label: 'Revenue',
+    requiredColumns: ['Doctor ID', 'Doctor Name'],
+    forbiddenColumns: ['Department ID'],
+    columns: [
+      { name: 'Doctor ID', type: 'id' },
+      { name: 'Doctor Name', type: 'text' },
+    ],
+    ranges: [{ match: /visit|patient|count|qty|quantity/i, min: 0 }],
+    uniqueKey: ['Doctor ID'],
+  },
+  department: {
+    label: 'Department',
+    requiredColumns: ['Department ID', 'Department Name', 'Doctor ID', 'Doctor Name'],
+    forbiddenColumns: [],
+    columns: [
+      { name: 'Department ID', type: 'id' },
+      { name: 'Department Name', type: 'text' },
+      { name: 'Doctor ID', type: 'id' },
+      { name: 'Doctor Name', type: 'text' },
+    ],
+    ranges: [{ match: /visit|patient|count|qty|quantity|slot/i, min: 0 }],
+    uniqueKey: ['Department ID', 'Doctor ID'],
+  },
+};
+
+// Columns the pipeline fills in itself; a re-uploaded export may already carry them.
+const PIPELINE_COLUMNS = ['date', 'clinic', 'common doctor name', 'common department name'];
+const MAX_MESSAGES_PER_FILE = 25;
+const UNKNOWN_LABEL = 'Unknown';
+
+/** Guess the dataset from the header, the same way loadDatasets always has. */
+function classifyDataset(header) {
+  const lowerHeader = header.map((cell) => String(cell).trim().toLowerCase());
+  if (lowerHeader.includes('department id')) return 'department';
+  if (lowerHeader.includes('doctor id')) return 'revenue';
+  return null;
+}
+
+/** Validate a parsed CSV (header first) and return a list of readable messages. */
+function validateDataset(rows, datasetName) {
+  const schema = DATASET_SCHEMAS[datasetName];
+  if (!schema) {
+    return ['Could not tell whether this is a Revenue or a Department report (no "Doctor ID" or "Department ID" column).'];
+  }
+
+  const [header, ...dataRows] = rows;
+  const lowerHeader = header.map((cell) => String(cell).trim().toLowerCase());
+  const indexOf = (name) => lowerHeader.indexOf(name.toLowerCase());
+  const messages = [];
+
+  schema.requiredColumns
+    .filter((name) => indexOf(name) === -1)
+    .forEach((name) => messages.push(`Missing required column "${name}".`));
+
+  schema.forbiddenColumns
+    .filter((name) => indexOf(name) !== -1)
+    .forEach((name) => {
+      messages.push(`Column "${name}" does not belong in a ${schema.label} report. Was the file uploaded in the wrong field?`);
+    });
+
+  if (messages.length) return messages;
+
+  if (!dataRows.length) {
+    return [`The ${schema.label} report has a header but no data rows.`];
+  }
+
+  const typedColumns = schema.columns.map((column) => ({ ...column, index: indexOf(column.name) }));
+  const metricColumns = detectMetricColumns(header, dataRows, [
+    ...schema.columns.map((column) => column.name.toLowerCase()),
+    ...PIPELINE_COLUMNS,
+  ]);
+
+  dataRows.forEach((row, rowIdx) => {
+    const rowLabel = `Row ${rowIdx + 2}`;
+
+    typedColumns.forEach(({ name, type, index }) => {
+      const problem = checkType(row[index], type);
+      if (problem) messages.push(`${rowLabel}: "${name}" ${problem}.`);
+    });
+
+    metricColumns.forEach(({ name, index }) => {
+      const value = row[index];
+      if (isBlank(value)) return;
+
+      const numeric = parseNumber(value);
+      if (numeric === null) {
+        messages.push(`${rowLabel}: "${name}" must be a number, got "${value}".`);
+        return;
+      }
+
+      const range = schema.ranges.find((entry) => entry.match.test(name));
+      if (range && range.min !== undefined && numeric < range.min) {
+        messages.push(`${rowLabel}: "${name}" must be at least ${range.min}, got ${numeric}.`);
+      }
+      if (range && range.max !== undefined && numeric > range.max) {
+        messages.push(`${rowLabel}: "${name}" must be at most ${range.max}, got ${numeric}.`);
+      }
+    });
+  });
+
+  messages.push(...findDuplicateKeys(dataRows, schema.uniqueKey, indexOf));
+
+  if (messages.length > MAX_MESSAGES_PER_FILE) {
+    const hidden = messages.length - MAX_MESSAGES_PER_FILE;
+    return [...messages.slice(0, MAX_MESSAGES_PER_FILE), `... and ${hidden} more problem(s).`];
+  }
+
+  return messages;
+}
+
+function detectMetricColumns(header, dataRows, excludedNames) {
+  return header.reduce((columns, cell, index) => {
+    const name = String(cell).trim();
+    if (!name || excludedNames.includes(name.toLowerCase())) return columns;
+
+    const values = dataRows.map((row) => row[index]).filter((value) => !isBlank(value));
+    const numericCount = values.filter((value) => parseNumber(value) !== null).length;
+    if (values.length && numericCount / values.length > 0.5) {
+      columns.push({ name, index });
+    }
+    return columns;
+  }, []);
+}
+
+function checkType(value, type) {
+  if (type !== 'id') return null;
+  if (isBlank(value)) return 'is empty';
+
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) && text !== UNKNOWN_LABEL) {
+    return `must be a numeric ID, got "${text}"`;
+  }
+
+  return null;
+}
+
+function findDuplicateKeys(dataRows, keyColumns, indexOf) {
+  const indices = keyColumns.map(indexOf);
+  if (!indices.length || indices.includes(-1)) return [];
+
+  const seen = new Map();
+  const messages = [];
+
+  dataRows.forEach((row, rowIdx) => {
+    const parts = indices.map((index) => String(row[index] || '').trim());
+    if (parts.some((part) => !part || part === UNKNOWN_LABEL)) return;
+
+    const key = parts.join('::');
+    if (seen.has(key)) {
+      const description = keyColumns.map((name, idx) => `${name} ${parts[idx]}`).join(', ');
+      messages.push(`Row ${rowIdx + 2}: duplicate ${description} (first seen on row ${seen.get(key)}).`);
+      return;
+    }
+    seen.set(key, rowIdx + 2);
+  });
+
+  return messages;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function formatValidationReport(results) {
+  const failed = results.filter((result) => result.messages.length);
+  const lines = [`Validation failed for ${failed.length} file(s); nothing was synced.`];
+
+  failed.forEach(({ file, dataset, messages }) => {
+    const schema = DATASET_SCHEMAS[dataset];
+    lines.push('');
+    lines.push(`${file}${schema ? ` (${schema.label})` : ''}:`);
+    messages.forEach((message) => lines.push(`  - ${message}`));
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DATASET_SCHEMAS,
+  classifyDataset,
+  validateDataset,
+  formatValidationReport,
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// Override with DEPARTMENTS_CONFIG to use another taxonomy file.
+const TAXONOMY_PATH = process.env.DEPARTMENTS_CONFIG || path.join(__dirname, 'departments.config.json');
+// Words that say nothing about the specialty: "DENTAL CLINIC" matches "Dental".
+const GENERIC_WORDS = new Set(['clinic', 'clinics', 'department', 'dept', 'unit', 'section', 'service', 'services', 'center', 'centre', 'and', 'of', 'the', 'عيادة', 'عيادات', 'قسم']);
+// Below this similarity (1 - edit distance / length) a name is left unmatched.
+const FUZZY_THRESHOLD = 0.8;
+const MIN_FUZZY_LENGTH = 4;
+
+let cachedTaxonomy = null;
+
+/**
+ * Standard departments from departments.config.json:
+ *
+ *   { departments: [{ name, synonyms?, ids? }] }
+ *
+ * `ids` are raw HIS department IDs, either bare ("10") or scoped to one clinic
+ * ("Qurtubah:10"). Read and validated once per process.
+ */
+function loadDepartmentTaxonomy() {
+  if (cachedTaxonomy) return cachedTaxonomy;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read department taxonomy ${TAXONOMY_PATH}: ${error.message}`);
+  }
+
+  const problems = validateTaxonomy(raw);
+  if (problems.length) {
+    throw new Error(`Invalid department taxonomy ${TAXONOMY_PATH}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+
+  cachedTaxonomy = compileTaxonomy(raw.departments);
+  return cachedTaxonomy;
+}
+
+function validateTaxonomy(config) {
+  if (!config || !Array.isArray(config.departments) || !config.departments.length) {
+    return ['"departments" must list at least one department.'];
+  }
+
+  const problems = [];
+  const owners = new Map();
+  config.departments.forEach((department, index) => {
+    if (!department || typeof department.name !== 'string' || !department.name.trim()) {
+      problems.push(`departments[${index}] needs a "name".`);
+      return;
+    }
+    ['synonyms', 'ids'].forEach((field) => {
+      if (department[field] !== undefined && !Array.isArray(department[field])) {
+        problems.push(`"${department.name}": "${field}" must be a list.`);
+      }
+    });
+    [department.name, ...(department.synonyms || [])].forEach((label) => {
+      const key = departmentKey(label);
+      if (owners.has(key) && owners.get(key) !== department.name) {
+        problems.push(`"${label}" is listed under both "${owners.get(key)}" and "${department.name}".`);
+      }
+      owners.set(key, department.name);
+    });
+  });
+  return problems;
+}
+
+function compileTaxonomy(departments) {
+  const byKey = new Map();
+  const byId = new Map();
+  departments.forEach(({ name, synonyms = [], ids = [] }) => {
+    [name, ...synonyms].forEach((label) => byKey.set(departmentKey(label), name));
+    ids.forEach((id) => byId.set(String(id).trim().toLowerCase(), name));
+  });
+  return { names: departments.map(({ name }) => name), byKey, byId };
+}
+
+/**
+ * Standard department for a raw label and/or ID as a report used it.
+ * Resolves to { name, method: 'id' | 'name' | 'fuzzy' } or null when nothing
+ * is close enough (or two departments are equally close).
+ */
+function matchDepartment(taxonomy, { name, id, clinic } = {}) {
+  const rawId = String(id || '').trim().toLowerCase();
+  if (rawId) {
+    const scoped = clinic ? taxonomy.byId.get(`${String(clinic).trim().toLowerCase()}:${rawId}`) : null;
+    const match = scoped || taxonomy.byId.get(rawId);
+    if (match) return { name: match, method: 'id' };
+  }
+
+  const key = departmentKey(name);
+  if (!key) return null;
+  if (taxonomy.byKey.has(key)) return { name: taxonomy.byKey.get(key), method: 'name' };
+  if (key.length < MIN_FUZZY_LENGTH) return null;
+
+  let best = null;
+  let tied = false;
+  taxonomy.byKey.forEach((department, candidate) => {
+    const score = similarity(key, candidate);
+    if (score < FUZZY_THRESHOLD) return;
+    if (!best || score > best.score) {
+      best = { name: department, score };
+      tied = false;
+    } else if (score === best.score && department !== best.name) {
+      tied = true;
+    }
+  });
+  return best && !tied ? { name: best.name, method: 'fuzzy' } : null;
+}
+
+/** Lowercase, punctuation and generic words ("Clinic", "Dept") dropped. */
+function departmentKey(label) {
+  return String(label || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter((word) => word && !GENERIC_WORDS.has(word))
+    .join(' ');
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - editDistance(a, b) / longest : 1;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = {
+  loadDepartmentTaxonomy,
+  validateTaxonomy,
+  matchDepartment,
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { dataPath, readJsonFile, updateJsonFile } = require('./data-store');
+const { normalizePeriod } = require('./row-utils');
+
+const REGISTRY_PATH = dataPath('doctors.json');
+const UNKNOWN_LABEL = 'Unknown';
+const REVIEW_ACTIONS = ['accept', 'alias', 'dismiss'];
+
+/**
+ * Doctors seen across uploads, kept in data/doctors.json as
+ *
+ *   { doctors: [{ id, name, aliases, clinics, departments, activeFrom, activeTo, updatedAt, updatedBy }],
+ *     reviews: [{ id, type: 'new' | 'conflict', doctorId, reportedName, canonicalName,
+ *                 clinic, period, createdAt, status, resolvedAt, resolvedBy }] }
+ *
+ * `name` is the canonical Common Doctor Name for the ID. A sync records every
+ * doctor it pushed: unseen IDs are added (and queued for review), and names
+ * that match neither the canonical name nor an alias are queued as conflicts.
+ * `departments` maps clinic to the doctor's last Common Department Name
+ * there, for revenue rows whose doctor is missing from the department report.
+ * Review status is 'open', 'accepted', 'aliased' or 'dismissed'.
+ */
+async function loadDoctorRegistry() {
+  const store = await readJsonFile(REGISTRY_PATH, null);
+  return { doctors: [], reviews: [], ...store };
+}
+
+/** Change the registry through updateJsonFile() so concurrent changes are not lost. */
+function updateRegistry(update) {
+  return updateJsonFile(REGISTRY_PATH, null, (store) => {
+    const registry = { doctors: [], reviews: [], ...store };
+    update(registry);
+    return registry;
+  });
+}
+
+/** Canonical name for an ID, or null when the registry has no usable name. */
+function resolveDoctorName(registry, doctorId) {
+  if (!registry || !doctorId) return null;
+  const doctor = registry.doctors.find((entry) => entry.id === doctorId);
+  return doctor && doctor.name && doctor.name !== UNKNOWN_LABEL ? doctor.name : null;
+}
+
+/** The doctor's last recorded department at a clinic, or null. */
+function resolveDoctorDepartment(registry, doctorId, clinic) {
+  if (!registry || !doctorId || !clinic) return null;
+  const doctor = registry.doctors.find((entry) => entry.id === doctorId);
+  return (doctor && doctor.departments && doctor.departments[clinic]) || null;
+}
+
+/**
+ * Record the doctors of one pushed batch. `sightings` maps doctor ID to the
+ * name the reports used, `departments` doctor ID to Common Department Name.
+ * Resolves to { added, conflicts }: how many review entries were opened.
+ */
+async function recordDoctorSightings(sightings, { clinic = '', period = '', departments = new Map() } = {}) {
+  const seenOn = period ? normalizePeriod(period) : null;
+  const counts = { added: 0, conflicts: 0 };
+
+  await updateRegistry((registry) => {
+    sightings.forEach((reportedName, doctorId) => {
+      if (!doctorId || doctorId.toLowerCase() === 'unknown') return;
+
+      let doctor = registry.doctors.find((entry) => entry.id === doctorId);
+      if (!doctor) {
+        doctor = {
+          id: doctorId,
+          name: reportedName || UNKNOWN_LABEL,
+          aliases: [],
+          clinics: [],
+          departments: {},
+          activeFrom: seenOn,
+          activeTo: seenOn,
+          updatedAt: new Date().toISOString(),
+          updatedBy: null,
+        };
+        registry.doctors.push(doctor);
+        if (openReview(registry, 'new', doctor, reportedName, { clinic, period: seenOn })) counts.added += 1;
+      } else if (reportedName && reportedName !== UNKNOWN_LABEL && !knowsName(doctor, reportedName)) {
+        if (openReview(registry, 'conflict', doctor, reportedName, { clinic, period: seenOn })) counts.conflicts += 1;
+      }
+
+      if (clinic && !doctor.clinics.includes(clinic)) doctor.clinics.push(clinic);
+      if (clinic && departments.has(doctorId)) {
+        doctor.departments = { ...doctor.departments, [clinic]: departments.get(doctorId) };
+      }
+      if (seenOn) {
+        if (!doctor.activeFrom || seenOn < doctor.activeFrom) doctor.activeFrom = seenOn;
+        if (!doctor.activeTo || seenOn > doctor.activeTo) doctor.activeTo = seenOn;
+      }
+    });
+  });
+  return counts;
+}
+
+/** Admin edit of one entry; omitted fields are left alone. */
+async function updateDoctor(doctorId, { name, aliases, clinics, activeFrom, activeTo } = {}, user = null) {
+  let doctor = null;
+  await updateRegistry((registry) => {
+    doctor = registry.doctors.find((entry) => entry.id === doctorId);
+    if (!doctor) {
+      throw new Error(`Doctor ID "${doctorId}" is not in the registry.`);
+    }
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) throw new Error('The canonical name cannot be empty.');
+      doctor.name = trimmed;
+    }
+    if (aliases !== undefined) doctor.aliases = uniqueNames(aliases).filter((alias) => nameKey(alias) !== nameKey(doctor.name));
+    if (clinics !== undefined) doctor.clinics = uniqueNames(clinics);
+    if (activeFrom !== undefined) doctor.activeFrom = validDate(activeFrom, 'Active from');
+    if (activeTo !== undefined) doctor.activeTo = validDate(activeTo, 'Active to');
+    doctor.updatedAt = new Date().toISOString();
+    doctor.updatedBy = user;
+  });
+  return doctor;
+}
+
+/**
+ * Close a review. 'accept' makes the reported name canonical (the old one is
+ * kept as an alias), 'alias' keeps the canonical name and remembers the
+ * reported one as an alias, 'dismiss' changes nothing.
+ */
+async function resolveReview(reviewId, action, user = null) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error(`Review action must be one of: ${REVIEW_ACTIONS.join(', ')}.`);
+  }
+
+  let review = null;
+  await updateRegistry((registry) => {
+    review = registry.reviews.find((entry) => entry.id === reviewId);
+    if (!review || review.status !== 'open') {
+      throw new Error('This review was not found or is already resolved.');
+    }
+
+    const doctor = registry.doctors.find((entry) => entry.id === review.doctorId);
+    if (doctor && action === 'accept' && review.reportedName && !sameName(doctor.name, review.reportedName)) {
+      doctor.aliases = uniqueNames([...doctor.aliases, doctor.name]).filter((alias) => !sameName(alias, review.reportedName));
+      doctor.name = review.reportedName;
+    }
+    if (doctor && action === 'alias' && review.reportedName) {
+      doctor.aliases = uniqueNames([...doctor.aliases, review.reportedName]);
+    }
+    if (doctor && action !== 'dismiss') {
+      doctor.updatedAt = new Date().toISOString();
+      doctor.updatedBy = user;
+    }
+
+    review.status = { accept: 'accepted', alias: 'aliased', dismiss: 'dismissed' }[action];
+    review.resolvedAt = new Date().toISOString();
+    review.resolvedBy = user;
+  });
+  return review;
+}
+
+function openReview(registry, type, doctor, reportedName, { clinic, period }) {
+  const duplicate = registry.reviews.some(
+    (review) => review.status === 'open' && review.doctorId === doctor.id && sameName(review.reportedName, reportedName),
+  );
+  if (duplicate) return false;
+
+  registry.reviews.push({
+    id: `review-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    type,
+    doctorId: doctor.id,
+    reportedName,
+    canonicalName: doctor.name,
+    clinic,
+    period,
+    createdAt: new Date().toISOString(),
+    status: 'open',
+    resolvedAt: null,
+    resolvedBy: null,
+  });
+  return true;
+}
+
+function knowsName(doctor, name) {
+  return sameName(doctor.name, name) || doctor.aliases.some((alias) => sameName(alias, name));
+}
+
+function sameName(a, b) {
+  return nameKey(a) === nameKey(b);
+}
+
+/** Spelling-insensitive form of a name: case, punctuation and spacing ignored. */
+function nameKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function uniqueNames(values) {
+  const names = [];
+  (Array.isArray(values) ? values : String(values || '').split(/[,\n]/))
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .forEach((value) => {
+      if (!names.some((name) => sameName(name, value))) names.push(value);
+    });
+  return names;
+}
+
+function validDate(value, label) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    throw new Error(`${label} must be a date (YYYY-MM-DD).`);
+  }
+  return text;
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  loadDoctorRegistry,
+  resolveDoctorName,
+  resolveDoctorDepartment,
+  recordDoctorSightings,
+  updateDoctor,
+  resolveReview,
+};
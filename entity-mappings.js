@@ -0,0 +1,184 @@
+const { dataPath, readJsonFile, updateJsonFile } = require('./data-store');
+const { findColumnIndex } = require('./row-utils');
+
+const MAPPINGS_PATH = dataPath('entity-mappings.json');
+const ENTITY_TYPES = ['doctor', 'department', 'clinic'];
+const UNKNOWN_LABEL = 'Unknown';
+const BLANK_KEY = '(blank)';
+
+/**
+ * Names users picked for doctors, departments and clinics the pipeline could
+ * not resolve, kept in data/entity-mappings.json as
+ *
+ *   { doctor: { [key]: mapping }, department: { ... }, clinic: { ... } }
+ *
+ * where mapping is { value, updatedAt, updatedBy }. Keys come from the raw
+ * row values (see doctorEntity() and departmentEntity()), so the same gap in next
+ * month's report is filled without asking again.
+ */
+async function loadEntityMappings() {
+  const store = await readJsonFile(MAPPINGS_PATH, null);
+  return { doctor: {}, department: {}, clinic: {}, ...store };
+}
+
+/** Remember `entries` ([{ type, key, value }]); blank values are skipped. */
+async function saveEntityMappings(entries, user = null) {
+  const mappings = entries
+    .map(({ type, key, value }) => ({ type, key, name: String(value || '').trim() }))
+    .filter(({ type, key, name }) => ENTITY_TYPES.includes(type) && key && name);
+  if (mappings.some(({ name }) => name.toLowerCase() === UNKNOWN_LABEL.toLowerCase())) {
+    throw new Error('Pick a real name instead of "Unknown".');
+  }
+  if (!mappings.length) return 0;
+
+  await updateJsonFile(MAPPINGS_PATH, null, (stored) => {
+    const store = { doctor: {}, department: {}, clinic: {}, ...stored };
+    mappings.forEach(({ type, key, name }) => {
+      store[type][key] = { value: name, updatedAt: new Date().toISOString(), updatedBy: user };
+    });
+    return store;
+  });
+  return mappings.length;
+}
+
+function lookupMapping(mappings, type, key) {
+  const mapping = mappings && mappings[type] && mappings[type][key];
+  return mapping ? mapping.value : null;
+}
+
+/**
+ * Fill Common Doctor Name / Common Department Name cells that are Unknown (or,
+ * for departments, not one of `departmentNames`) from remembered mappings.
+ * Returns { rows, unresolved } where unresolved lists what is still
+ * missing: [{ type, key, label, rows, datasets }].
+ */
+function applyEntityMappings(rows, { dataset, mappings = null, departmentNames = [] }) {
+  if (!rows.length) return { rows, unresolved: [] };
+
+  const [header, ...dataRows] = rows;
+  const column = (name) => findColumnIndex(header, name);
+  const columns = {
+    clinic: column('clinic'),
+    doctorId: column('doctor id'),
+    doctorName: column('doctor name'),
+    commonDoctor: column('common doctor name'),
+    departmentId: column('department id'),
+    departmentName: column('department name'),
+    commonDepartment: column('common department name'),
+  };
+  const standardDepartments = new Set(departmentNames);
+  const unresolved = new Map();
+  const note = (entity) => {
+    const id = `${entity.type}:${entity.key}`;
+    const entry = unresolved.get(id) || { ...entity, rows: 0, datasets: [dataset] };
+    entry.rows += 1;
+    unresolved.set(id, entry);
+  };
+
+  const updatedRows = dataRows.map((row) => {
+    const copy = [...row];
+    const raw = (index) => (index === -1 ? '' : cleanValue(copy[index]));
+
+    if (columns.commonDoctor !== -1 && isUnknown(copy[columns.commonDoctor])) {
+      const entity = doctorEntity(raw(columns.doctorId), raw(columns.doctorName));
+      const mapped = lookupMapping(mappings, 'doctor', entity.key);
+      if (mapped) copy[columns.commonDoctor] = mapped;
+      else note(entity);
+    }
+
+    const department = columns.commonDepartment === -1 ? null : cleanValue(copy[columns.commonDepartment]);
+    if (department !== null && (isUnknown(department) || !standardDepartments.has(department))) {
+      const entity = departmentEntity({
+        clinic: raw(columns.clinic),
+        departmentId: raw(columns.departmentId),
+        departmentName: raw(columns.departmentName) || (isUnknown(department) ? '' : department),
+        doctorId: raw(columns.doctorId),
+        doctorName: raw(columns.doctorName),
+      });
+      const mapped = lookupMapping(mappings, 'department', entity.key);
+      if (mapped) copy[columns.commonDepartment] = mapped;
+      else note(entity);
+    }
+
+    return copy;
+  });
+
+  return { rows: [header, ...updatedRows], unresolved: [...unresolved.values()] };
+}
+
+/**
+ * A clinic name that is not in `clinicNames` is replaced by its mapping.
+ * Returns { clinic, unresolved } with unresolved null once it is known.
+ */
+function resolveClinicName(clinic, { mappings = null, clinicNames = [] }) {
+  const name = cleanValue(clinic);
+  if (clinicNames.includes(name)) return { clinic: name, unresolved: null };
+
+  const key = name ? `name:${normalizeKey(name)}` : BLANK_KEY;
+  const mapped = lookupMapping(mappings, 'clinic', key);
+  if (mapped) return { clinic: mapped, unresolved: null };
+  return {
+    clinic: name,
+    unresolved: { type: 'clinic', key, label: name ? `Clinic "${name}"` : 'No clinic given', rows: 0, datasets: [] },
+  };
+}
+
+/** Merge unresolved lists from several datasets, adding up row counts. */
+function mergeUnresolved(...lists) {
+  const merged = new Map();
+  lists.flat().filter(Boolean).forEach((entity) => {
+    const id = `${entity.type}:${entity.key}`;
+    const entry = merged.get(id);
+    if (!entry) {
+      merged.set(id, { ...entity, datasets: [...entity.datasets] });
+      return;
+    }
+    entry.rows += entity.rows;
+    entity.datasets.filter((name) => !entry.datasets.includes(name)).forEach((name) => entry.datasets.push(name));
+  });
+  return [...merged.values()].sort((a, b) => ENTITY_TYPES.indexOf(a.type) - ENTITY_TYPES.indexOf(b.type));
+}
+
+function doctorEntity(doctorId, doctorName) {
+  if (doctorId) return { type: 'doctor', key: `id:${doctorId}`, label: `Doctor ID ${doctorId}` };
+  if (doctorName) return { type: 'doctor', key: `name:${normalizeKey(doctorName)}`, label: `Doctor "${doctorName}"` };
+  return { type: 'doctor', key: BLANK_KEY, label: 'Rows without a doctor ID or name' };
+}
+
+function departmentEntity({ clinic, departmentId, departmentName, doctorId, doctorName }) {
+  const at = clinic ? ` at ${clinic}` : '';
+  if (departmentName) {
+    return { type: 'department', key: `name:${normalizeKey(departmentName)}`, label: `Department "${departmentName}"` };
+  }
+  if (departmentId) {
+    return { type: 'department', key: `id:${normalizeKey(clinic)}:${departmentId}`, label: `Department ID ${departmentId}${at}` };
+  }
+  if (doctorId) {
+    const who = doctorName ? `${doctorId} (${doctorName})` : doctorId;
+    return { type: 'department', key: `doctor:${normalizeKey(clinic)}:${doctorId}`, label: `Department of doctor ${who}${at}` };
+  }
+  return { type: 'department', key: BLANK_KEY, label: 'Rows without a department' };
+}
+
+function cleanValue(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return isUnknown(text) ? '' : text;
+}
+
+function isUnknown(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  return !text || text === 'unknown' || text === 'null' || text === 'undefined';
+}
+
+function normalizeKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  loadEntityMappings,
+  saveEntityMappings,
+  applyEntityMappings,
+  resolveClinicName,
+  mergeUnresolved,
+};
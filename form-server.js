@@ -5,10 +5,51 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { execFile } = require('child_process');
-const { convertHtmlToCsv } = require('./html-to-csv');
+const { convertReportToCsv } = require('./spreadsheet-reader');
+const { recordSubmission, readSubmissions, hashFile } = require('./audit-log');
+const { isValidSnapshotId, loadSnapshot } = require('./snapshots');
+const { enqueueJob, getJob, waitForJob } = require('./jobs');
+const { syncReports, rollbackSync, readReports } = require('./sync-to-sheets');
+const { SyncError, SyncInProgressError } = require('./sync-errors');
+const { createSession, destroySession, requireUser } = require('./auth');
+const { listClinicNames } = require('./clinic-config');
+const { loadDoctorRegistry, updateDoctor, resolveReview } = require('./doctor-registry');
+const { loadDepartmentTaxonomy } = require('./department-taxonomy');
+const { saveEntityMappings } = require('./entity-mappings');
+const { parseNumber } = require('./number-parsing');
+const {
+  ROLES,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials,
+  canAccessClinic,
+  allowedClinics,
+} = require('./users');
 
 const PORT = process.env.PORT || 4000;
+// Converted uploads wait this long for the user to confirm before they are pruned.
+const PENDING_BATCH_TTL_MS = 24 * 60 * 60 * 1000;
+const BATCH_FILE = 'batch.json';
+const CLINICS = listClinicNames();
+const UPLOAD_DATASETS = {
+  revenueFile: 'revenue',
+  departmentFile: 'department',
+};
+// Checked by extension here; the converter goes by content (".xls" is often HTML).
+const UPLOAD_EXTENSIONS = ['.html', '.htm', '.csv', '.xls', '.xlsx'];
+// JSON bodies carry whole report files, so allow more than express's 100kb default.
+const API_JSON_LIMIT = '25mb';
+// HTTP status for each SyncError code returned by the API.
+const API_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  VALIDATION_FAILED: 422,
+  NO_DATA: 422,
+  FORBIDDEN: 403,
+  SYNC_IN_PROGRESS: 409,
+  UNRESOLVED_ENTITIES: 422,
+};
 const uploadRoot = path.join(os.tmpdir(), 'dallah-uploads');
 ensureDirectory(uploadRoot);
 
@@ -29,76 +70,455 @@ const upload = multer({
   storage,
   fileFilter: (_, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    if (!['.html', '.htm', '.csv'].includes(ext)) {
-      cb(new Error('Only HTML or CSV report files are allowed.'));
+    if (!UPLOAD_EXTENSIONS.includes(ext)) {
+      const error = new Error('Only HTML, CSV or Excel (.xls, .xlsx) report files are allowed.');
+      error.status = 400;
+      cb(error);
       return;
     }
     cb(null, true);
   },
 });
 
+const uploadFields = upload.fields([
+  { name: 'revenueFile', maxCount: 1 },
+  { name: 'departmentFile', maxCount: 1 },
+]);
+
 const app = express();
 app.use(express.urlencoded({ extended: true }));
+app.use('/api', express.json({ limit: API_JSON_LIMIT }));
+
+app.get('/login', async (req, res) => {
+  const noUsers = !(await listUsers()).length;
+  res.send(renderLogin(null, safeRedirect(req.query.next), noUsers));
+});
+
+app.post('/login', async (req, res) => {
+  const next = safeRedirect(req.body.next);
+  const user = await verifyCredentials(req.body.username, req.body.password);
+  if (!user) {
+    res.status(401).send(renderLogin('Wrong username or password.', next, false));
+    return;
+  }
+  createSession(res, user);
+  res.redirect(303, next);
+});
+
+app.post('/logout', (req, res) => {
+  destroySession(req, res);
+  res.redirect(303, '/login');
+});
+
+// Everything below needs a signed-in user (or Basic credentials for /api).
+app.use(requireUser);
 
 app.get('/', (req, res) => {
-  res.send(renderForm());
+  res.send(renderForm(req.user));
 });
 
 app.post(
   '/submit',
-  upload.fields([
-    { name: 'revenueFile', maxCount: 1 },
-    { name: 'departmentFile', maxCount: 1 },
-  ]),
+  uploadFields,
   async (req, res) => {
-    let workspaceDir = null;
+    // Multer has already written the uploads; remove them on any error below.
+    let workspaceDir = req.uploadWorkspace || null;
+    let metadata = null;
+    const uploadedFiles = [];
     try {
-      const revenueUpload = req.files.revenueFile?.[0] || null;
-      const departmentUpload = req.files.departmentFile?.[0] || null;
+      await pruneStaleWorkspaces();
+
+      const revenueUpload = req.files?.revenueFile?.[0] || null;
+      const departmentUpload = req.files?.departmentFile?.[0] || null;
 
       if (!revenueUpload && !departmentUpload) {
-        throw new Error('Please upload at least one HTML/CSV report.');
+        throw badRequestError('Please upload at least one HTML, CSV or Excel report.');
       }
 
-      const metadata = {
-        clinic: sanitizeText(req.body.clinic),
-        reportPeriod: (req.body.reportPeriod || '').trim(),
-        complaintsMedical: normalizeNumber(req.body.complaintsMedical),
-        complaintsAdministrative: normalizeNumber(
-          req.body.complaintsAdministrative,
-        ),
-        remarks: sanitizeTextArea(req.body.remarks),
-        referrals: normalizeNumber(req.body.referrals),
-      };
-
-      workspaceDir = req.uploadWorkspace;
+      metadata = { ...readSubmissionMetadata(req.body), user: req.user.username };
+      if (!canAccessClinic(req.user, metadata.clinic)) {
+        throw forbiddenError(`Your account may not submit reports for ${metadata.clinic || 'this clinic'}.`);
+      }
 
       const allUploads = [revenueUpload, departmentUpload].filter(Boolean);
-      const csvOutputs = [];
-      const savedInputs = [];
-
       for (const uploadFile of allUploads) {
-        savedInputs.push(uploadFile.path);
-        const csvPath = await ensureCsv(uploadFile.path);
-        csvOutputs.push(csvPath);
+        uploadedFiles.push({
+          field: uploadFile.fieldname,
+          name: uploadFile.originalname,
+          sha256: await hashFile(uploadFile.path),
+        });
       }
 
-      await syncSheets(csvOutputs, metadata);
-      res.send(renderSuccess(metadata, savedInputs, csvOutputs));
+      const job = await enqueueJob(
+        { type: 'preview', stages: ['converting', 'validating'], context: { metadata } },
+        (progress) => runPreviewJob(progress, { workspaceDir, metadata, allUploads, uploadedFiles }),
+      );
+      res.redirect(303, `/jobs/${job.id}`);
     } catch (error) {
       console.error(error);
-      res.status(500).send(renderForm(error.message));
-    } finally {
       if (workspaceDir) {
         await removeDirectory(workspaceDir);
       }
+      if (metadata) {
+        await auditSubmission({ metadata, uploadedFiles, tabs: [] }, 'failed', error);
+      }
+      res.status(error.status || 500).send(renderForm(req.user, error.message));
     }
   },
 );
 
+app.get('/preview/:batchId', async (req, res) => {
+  const batch = await readPendingBatch(req.params.batchId);
+  if (!batch || !canHandleSubmission(req.user, batch.metadata)) {
+    res.status(404).send(renderForm(req.user, 'This upload has expired or was already submitted. Please upload the reports again.'));
+    return;
+  }
+  res.send(renderPreview(req.params.batchId, batch, await entityChoices()));
+});
+
+app.post('/preview/:batchId/mappings', async (req, res) => {
+  const { batchId } = req.params;
+  const batch = await readPendingBatch(batchId);
+  if (!batch || !canHandleSubmission(req.user, batch.metadata)) {
+    res.status(404).send(renderForm(req.user, 'This upload has expired or was already submitted. Please upload the reports again.'));
+    return;
+  }
+
+  try {
+    const entries = Object.values(req.body.mappings || {});
+    checkEntityMappings(entries, batch, req.user);
+    await saveEntityMappings(entries, req.user.username);
+  } catch (error) {
+    res.status(error.status || 400).send(renderPreview(batchId, batch, await entityChoices(), error.message));
+    return;
+  }
+
+  const job = await enqueueJob(
+    { type: 'preview', stages: ['validating'], context: { metadata: batch.metadata } },
+    (progress) => runReplanJob(progress, batchId),
+  );
+  res.redirect(303, `/jobs/${job.id}`);
+});
+
+app.post('/preview/:batchId/sheets', async (req, res) => {
+  const { batchId } = req.params;
+  const batch = await readPendingBatch(batchId);
+  if (!batch || !canHandleSubmission(req.user, batch.metadata)) {
+    res.status(404).send(renderForm(req.user, 'This upload has expired or was already submitted. Please upload the reports again.'));
+    return;
+  }
+
+  const sheets = readSheetChoices(req.body.sheets);
+  const unknown = batch.csvInputs.find(({ dataset, sheets: names = [] }) => sheets[dataset] && !names.includes(sheets[dataset]));
+  if (unknown) {
+    res.status(400).send(renderPreview(batchId, batch, await entityChoices(), `"${sheets[unknown.dataset]}" is not a worksheet of the ${unknown.dataset} report.`));
+    return;
+  }
+
+  const job = await enqueueJob(
+    { type: 'preview', stages: ['converting', 'validating'], context: { metadata: batch.metadata } },
+    (progress) => runReplanJob(progress, batchId, sheets),
+  );
+  res.redirect(303, `/jobs/${job.id}`);
+});
+
+app.post('/confirm/:batchId', async (req, res) => {
+  const pending = await readPendingBatch(req.params.batchId);
+  if (pending && pending.unresolved && pending.unresolved.length) {
+    res.redirect(303, `/preview/${req.params.batchId}`);
+    return;
+  }
+  const batch = pending && canHandleSubmission(req.user, pending.metadata) ? await claimBatch(req.params.batchId) : null;
+  if (!batch) {
+    res.status(404).send(renderForm(req.user, 'This upload has expired or was already submitted. Please upload the reports again.'));
+    return;
+  }
+
+  const job = await enqueueJob(
+    {
+      type: 'sync',
+      stages: ['validating', 'updating rows', 'formatting'],
+      context: {
+        metadata: batch.metadata,
+        savedInputs: batch.savedInputs,
+        csvFiles: batch.csvInputs.map(({ file }) => file),
+      },
+    },
+    (progress) => runSyncJob(progress, req.params.batchId, batch, req.user),
+  );
+  res.redirect(303, `/jobs/${job.id}`);
+});
+
+app.get('/jobs/:jobId', async (req, res) => {
+  const job = await getJob(req.params.jobId);
+  if (!job || !canHandleSubmission(req.user, job.context.metadata)) {
+    res.status(404).send(renderNotice('Job Not Found', 'This job does not exist or has expired.'));
+    return;
+  }
+
+  if (job.status === 'succeeded' && job.type === 'preview') {
+    res.redirect(`/preview/${job.result.batchId}`);
+    return;
+  }
+  if (job.status === 'succeeded' && job.type === 'sync') {
+    const { metadata, savedInputs, csvFiles } = job.context;
+    res.send(renderSuccess(metadata, savedInputs, csvFiles, job.result));
+    return;
+  }
+  res.send(renderJob(job));
+});
+
+app.get('/api/jobs/:jobId', async (req, res) => {
+  const job = await getJob(req.params.jobId);
+  if (!job || !canHandleSubmission(req.user, job.context.metadata)) {
+    res.status(404).json({ error: 'Job not found.' });
+    return;
+  }
+  const { id, type, status, stages, result, error, createdAt, startedAt, finishedAt } = job;
+  res.json({ id, type, status, stages, result, error, createdAt, startedAt, finishedAt });
+});
+
+app.post('/cancel/:batchId', async (req, res) => {
+  const pending = await readPendingBatch(req.params.batchId);
+  const batch = pending && canHandleSubmission(req.user, pending.metadata) ? await claimBatch(req.params.batchId) : null;
+  if (batch) {
+    await auditSubmission(batch, 'cancelled', null, req.user);
+    await removeDirectory(batch.workspaceDir);
+  }
+  res.redirect('/');
+});
+
+app.post('/rollback/:snapshotId', async (req, res) => {
+  const { snapshotId } = req.params;
+  const snapshot = isValidSnapshotId(snapshotId) ? await loadSnapshot(snapshotId) : null;
+  if (!snapshot || !canAccessClinic(req.user, snapshot.clinic)) {
+    res.status(404).send(renderNotice('Rollback Failed', 'That submission has no snapshot to restore.'));
+    return;
+  }
+
+  const metadata = { clinic: snapshot.clinic, reportPeriod: snapshot.reportPeriod };
+  try {
+    const { tabs } = await rollbackSync({ snapshotId, user: req.user.username });
+    await auditSubmission({ metadata, snapshotId }, 'rolled back', null, req.user);
+    res.send(
+      renderNotice(
+        'Submission Rolled Back',
+        `Restored the previous ${formatList(tabs.map(({ tabName }) => tabName))} rows for ${metadata.clinic || '-'} (${metadata.reportPeriod || '-'}).`,
+      ),
+    );
+  } catch (error) {
+    console.error(error);
+    res.status(409).send(renderNotice(error instanceof SyncInProgressError ? 'Sync In Progress' : 'Rollback Failed', error.message));
+  }
+});
+
+app.get('/history', async (req, res) => {
+  const filters = {
+    clinic: sanitizeText(req.query.clinic),
+    period: sanitizeText(req.query.period),
+  };
+  const entries = (await readSubmissions(filters)).filter((entry) => canAccessClinic(req.user, entry.clinic));
+  res.send(renderHistory(entries, filters, req.user));
+});
+
+app.get('/users', requireAdmin, async (req, res) => {
+  res.send(renderUsers(await listUsers(), req.user));
+});
+
+app.post('/users', requireAdmin, async (req, res) => {
+  try {
+    await createUser({
+      username: req.body.username,
+      password: req.body.password,
+      role: req.body.role,
+      clinics: [req.body.clinics || []].flat(),
+    });
+    res.redirect(303, '/users');
+  } catch (error) {
+    res.status(400).send(renderUsers(await listUsers(), req.user, error.message));
+  }
+});
+
+app.post('/users/:username', requireAdmin, async (req, res) => {
+  try {
+    await updateUser(req.params.username, {
+      role: req.body.role,
+      clinics: [req.body.clinics || []].flat(),
+      password: req.body.password ? req.body.password : undefined,
+    });
+    res.redirect(303, '/users');
+  } catch (error) {
+    res.status(400).send(renderUsers(await listUsers(), req.user, error.message));
+  }
+});
+
+app.get('/doctors', requireAdmin, async (req, res) => {
+  const query = sanitizeText(req.query.q);
+  res.send(renderDoctors(await loadDoctorRegistry(), query));
+});
+
+app.post('/doctors/reviews/:reviewId', requireAdmin, async (req, res) => {
+  try {
+    await resolveReview(req.params.reviewId, req.body.action, req.user.username);
+    res.redirect(303, '/doctors');
+  } catch (error) {
+    res.status(400).send(renderDoctors(await loadDoctorRegistry(), '', error.message));
+  }
+});
+
+app.post('/doctors/:doctorId', requireAdmin, async (req, res) => {
+  try {
+    await updateDoctor(
+      req.params.doctorId,
+      {
+        name: req.body.name,
+        aliases: req.body.aliases,
+        clinics: req.body.clinics,
+        activeFrom: req.body.activeFrom,
+        activeTo: req.body.activeTo,
+      },
+      req.user.username,
+    );
+    res.redirect(303, `/doctors?q=${encodeURIComponent(req.params.doctorId)}`);
+  } catch (error) {
+    res.status(400).send(renderDoctors(await loadDoctorRegistry(), req.params.doctorId, error.message));
+  }
+});
+
+app.post('/users/:username/delete', requireAdmin, async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) {
+      throw new Error('You cannot remove your own account.');
+    }
+    await deleteUser(req.params.username);
+    res.redirect(303, '/users');
+  } catch (error) {
+    res.status(400).send(renderUsers(await listUsers(), req.user, error.message));
+  }
+});
+
+/**
+ * Submit reports from a script. Accepts the form's multipart fields, or JSON:
+ *
+ *   { clinic, period, complaintsMedical, complaintsAdministrative, referrals,
+ *     remarks, dryRun, files: [{ dataset: 'revenue' | 'department', name,
+ *     content, encoding: 'utf8' | 'base64', sheet }] }
+ *
+ * Workbooks (.xlsx must be base64) use `sheet` when given, else the first
+ * worksheet that looks like a report; multipart requests name it in
+ * revenueSheet / departmentSheet. The job result lists the worksheet used in
+ * `worksheets`, `reconciliation` checks the rows against the report's own
+ * Total / Grand Total rows, and `anomalies` lists month-over-month flags.
+ *
+ * Runs through the same job queue, conversion and syncReports() path as the
+ * form, minus the confirmation step (send dryRun: true to only plan). Rows
+ * with unmapped names are refused as UNRESOLVED_ENTITIES; a dry run lists
+ * them in `unresolved`. Answers 202 with the `jobId` to poll at
+ * /api/jobs/:jobId, or with the result once the job finishes when called
+ * with ?wait=true.
+ */
+app.post('/api/reports', uploadFields, async (req, res) => {
+  let workspaceDir = req.uploadWorkspace || null;
+  try {
+    const metadata = { ...readSubmissionMetadata(req.body), user: req.user.username };
+    if (!CLINICS.includes(metadata.clinic)) {
+      throw apiError('INVALID_REQUEST', `clinic must be one of: ${CLINICS.join(', ')}.`);
+    }
+    if (!canAccessClinic(req.user, metadata.clinic)) {
+      throw apiError('FORBIDDEN', `Your account may not submit reports for ${metadata.clinic}.`);
+    }
+    if (!/^\d{4}-\d{2}$/.test(metadata.reportPeriod)) {
+      throw apiError('INVALID_REQUEST', 'period must be a month in YYYY-MM format.');
+    }
+
+    let uploads;
+    let sheets;
+    if (req.is('application/json')) {
+      workspaceDir = await fs.promises.mkdtemp(path.join(uploadRoot, 'batch-'));
+      uploads = await writeJsonUploads(workspaceDir, req.body.files);
+      sheets = readSheetChoices(Object.fromEntries(req.body.files.map((file) => [file.dataset, file.sheet])));
+    } else {
+      uploads = Object.values(req.files || {}).flat();
+      sheets = readSheetChoices({ revenue: req.body.revenueSheet, department: req.body.departmentSheet });
+    }
+    if (!uploads.length) {
+      throw apiError('INVALID_REQUEST', 'Provide at least one revenue or department report file.');
+    }
+
+    const uploadedFiles = [];
+    for (const uploadFile of uploads) {
+      uploadedFiles.push({
+        field: uploadFile.fieldname,
+        name: uploadFile.originalname,
+        sha256: await hashFile(uploadFile.path),
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const jobWorkspace = workspaceDir;
+    const job = await enqueueJob(
+      {
+        type: 'api',
+        stages: ['converting', 'validating', 'updating rows', 'formatting'],
+        context: { metadata },
+      },
+      (progress) => runApiJob(progress, { workspaceDir: jobWorkspace, metadata, uploads, sheets, uploadedFiles, dryRun }),
+    );
+    // The job owns the workspace from here on.
+    workspaceDir = null;
+
+    const jobUrl = `/api/jobs/${job.id}`;
+    if (req.query.wait !== 'true') {
+      res.status(202).location(jobUrl).json({ status: 'queued', jobId: job.id, job: jobUrl });
+      return;
+    }
+
+    const finished = await waitForJob(job.id);
+    if (finished.status === 'failed') {
+      sendApiError(res, finished.error, job.id);
+      return;
+    }
+    res.json({ status: dryRun ? 'planned' : 'synced', jobId: job.id, ...finished.result });
+  } catch (error) {
+    if (workspaceDir) {
+      await removeDirectory(workspaceDir);
+    }
+    sendApiError(res, error);
+  }
+});
+
+app.get('/api/reports', async (req, res) => {
+  const clinic = sanitizeText(req.query.clinic);
+  const period = sanitizeText(req.query.period);
+  if (!clinic || !/^\d{4}-\d{2}$/.test(period)) {
+    sendApiError(res, apiError('INVALID_REQUEST', 'Pass clinic and period (YYYY-MM) query parameters.'));
+    return;
+  }
+  if (!canAccessClinic(req.user, clinic)) {
+    sendApiError(res, apiError('FORBIDDEN', `Your account may not view reports for ${clinic}.`));
+    return;
+  }
+
+  try {
+    const stored = await readReports({ clinic, period });
+    const submissions = (await readSubmissions({ clinic, period })).map(
+      ({ timestamp, outcome, files, tabs, snapshotId }) => ({ timestamp, outcome, files, tabs, snapshotId }),
+    );
+    res.json({ ...stored, submissions });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
 app.use((err, req, res, next) => {
+  if (req.path.startsWith('/api/')) {
+    // Multer and body-parser errors, and the upload filter's, are the client's fault.
+    const isClientError = err instanceof multer.MulterError || (err.status >= 400 && err.status < 500);
+    sendApiError(res, isClientError ? apiError('INVALID_REQUEST', err.message) : err);
+    return;
+  }
   if (err instanceof multer.MulterError) {
-    res.status(400).send(renderForm(err.message));
+    res.status(400).send(renderForm(req.user, err.message));
     return;
   }
   next(err);
@@ -108,52 +528,363 @@ app.listen(PORT, () => {
   console.log(`Form server running on http://localhost:${PORT}`);
 });
 
-async function ensureCsv(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  if (ext === '.csv') {
-    return filePath;
+/** Convert the uploads and dry-run them; resolves to { batchId } for the preview page. */
+async function runPreviewJob({ startStage }, { workspaceDir, metadata, allUploads, uploadedFiles }) {
+  try {
+    await startStage('converting');
+    const csvOutputs = await convertUploads(allUploads);
+
+    await startStage('validating');
+    const { plan, tabs, warnings, unresolved, reconciliation, anomalies } = await syncReports({ ...syncOptions(csvOutputs, metadata), dryRun: true });
+    await saveBatch(workspaceDir, {
+      metadata,
+      savedInputs: allUploads.map((uploadFile) => uploadFile.path),
+      csvInputs: csvOutputs,
+      uploadedFiles,
+      tabs,
+      plan,
+      warnings,
+      unresolved,
+      reconciliation,
+      anomalies,
+    });
+    return { batchId: path.basename(workspaceDir) };
+  } catch (error) {
+    await removeDirectory(workspaceDir);
+    await auditSubmission({ metadata, uploadedFiles, tabs: [] }, 'failed', error);
+    throw error;
+  }
+}
+
+/**
+ * Plan a pending batch again after the user mapped its unresolved entities
+ * or, with `sheets` ({ [dataset]: worksheet }), picked other worksheets.
+ */
+async function runReplanJob({ startStage }, batchId, sheets = null) {
+  const batch = await readPendingBatch(batchId);
+  if (!batch) {
+    throw new Error('This upload has expired or was already submitted. Please upload the reports again.');
+  }
+
+  let { csvInputs } = batch;
+  if (sheets) {
+    await startStage('converting');
+    csvInputs = [];
+    for (const input of batch.csvInputs) {
+      const sheet = sheets[input.dataset];
+      csvInputs.push(sheet && sheet !== input.sheet ? await convertInput(input, sheet) : input);
+    }
   }
 
-  return convertHtmlToCsv(filePath, { quiet: true });
+  await startStage('validating');
+  const { plan, tabs, warnings, unresolved, reconciliation, anomalies } = await syncReports({
+    ...syncOptions(csvInputs, batch.metadata),
+    dryRun: true,
+  });
+  await saveBatch(batchWorkspace(batchId), { ...batch, csvInputs, tabs, plan, warnings, unresolved, reconciliation, anomalies });
+  return { batchId };
+}
+
+/** Existing names offered when mapping unresolved entities. */
+async function entityChoices() {
+  const registry = await loadDoctorRegistry();
+  return {
+    doctor: [...new Set(registry.doctors.map((doctor) => doctor.name))].filter((name) => name !== 'Unknown').sort(),
+    department: loadDepartmentTaxonomy().names,
+    clinic: CLINICS,
+  };
 }
 
-function syncSheets(csvPaths, metadata) {
-  return new Promise((resolve, reject) => {
-    const args = ['sync-to-sheets.js'];
-    if (metadata.clinic) {
-      args.push('--clinic', metadata.clinic);
+/** Sync a confirmed batch; resolves to { target, snapshotId, reconciliation, anomalies } for the success page. */
+async function runSyncJob({ startStage }, batchId, batch, user) {
+  const snapshotId = `${batchId}-${Date.now().toString(36)}`;
+  let keepBatch = false;
+  try {
+    const { target, tabs, reconciliation, anomalies } = await syncReports({
+      ...syncOptions(batch.csvInputs, batch.metadata),
+      snapshotId,
+      requireResolved: true,
+      onStage: startStage,
+    });
+    // Audit what was written, not the preview's plan: the sink may have changed since.
+    await auditSubmission({ ...batch, tabs, snapshotId }, 'synced', null, user);
+    return { target, snapshotId, reconciliation, anomalies };
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      // Nothing was written: hand the batch back so the user can retry it.
+      keepBatch = await releaseBatch(batch);
+      if (keepBatch) error.retryBatchId = batchId;
+      throw error;
+    }
+    await auditSubmission({ ...batch, tabs: [], snapshotId }, 'failed', error, user);
+    throw error;
+  } finally {
+    if (!keepBatch) {
+      await removeDirectory(batch.workspaceDir);
+    }
+  }
+}
+
+/** Convert and sync (or plan) an API submission; the workspace is always removed. */
+async function runApiJob({ startStage }, { workspaceDir, metadata, uploads, sheets, uploadedFiles, dryRun }) {
+  try {
+    await startStage('converting');
+    const csvOutputs = await convertUploads(uploads, sheets);
+    const { plan, ...syncResult } = await syncReports({
+      ...syncOptions(csvOutputs, metadata),
+      dryRun,
+      requireResolved: true,
+      onStage: startStage,
+    });
+    const result = {
+      ...syncResult,
+      worksheets: csvOutputs.filter(({ sheet }) => sheet).map(({ dataset, sheet, sheets: names }) => ({ dataset, sheet, sheets: names })),
+    };
+    if (!dryRun) {
+      await auditSubmission({ metadata, uploadedFiles, tabs: result.tabs, snapshotId: result.snapshotId }, 'synced');
     }
-    if (metadata.reportPeriod) {
-      args.push('--date', metadata.reportPeriod);
+    return result;
+  } catch (error) {
+    if (!dryRun) {
+      await auditSubmission({ metadata, uploadedFiles, tabs: [] }, 'failed', error);
+    }
+    throw error;
+  } finally {
+    await removeDirectory(workspaceDir);
+  }
+}
+
+/**
+ * Uploads ({ fieldname, path }) to the { file, dataset } inputs syncReports()
+ * expects. `sheets` picks worksheets by dataset; each input also keeps its
+ * `source` upload, original `name` and worksheet so the preview can switch.
+ */
+async function convertUploads(uploads, sheets = {}) {
+  const csvOutputs = [];
+  for (const uploadFile of uploads) {
+    const dataset = UPLOAD_DATASETS[uploadFile.fieldname];
+    csvOutputs.push(await convertInput({ source: uploadFile.path, name: uploadFile.originalname, dataset }, sheets[dataset] || null));
+  }
+  return csvOutputs;
+}
+
+/** An unreadable upload is the submitter's problem, so it is reported as INVALID_REQUEST. */
+async function convertInput({ source, name, dataset }, sheet) {
+  let converted;
+  try {
+    converted = await convertReportToCsv(source, { sheet, dataset, label: name });
+  } catch (error) {
+    throw apiError('INVALID_REQUEST', error.message);
+  }
+  return { file: converted.file, dataset, source, name, sheet: converted.sheet, sheets: converted.sheets };
+}
+
+/** { revenue, department } worksheet names from a form or request body; blanks dropped. */
+function readSheetChoices(values = {}) {
+  const sheets = {};
+  Object.values(UPLOAD_DATASETS).forEach((dataset) => {
+    const name = sanitizeText(values[dataset]);
+    if (name) sheets[dataset] = name;
+  });
+  return sheets;
+}
+
+/** Write JSON-encoded files into the workspace, shaped like multer's uploads. */
+async function writeJsonUploads(workspaceDir, files) {
+  if (!Array.isArray(files)) {
+    throw apiError('INVALID_REQUEST', 'files must be an array of { dataset, name, content }.');
+  }
+
+  const uploads = [];
+  for (const [index, file] of files.entries()) {
+    const fieldname = Object.keys(UPLOAD_DATASETS).find((field) => UPLOAD_DATASETS[field] === file?.dataset);
+    const ext = path.extname(String(file?.name || '')).toLowerCase();
+    if (!fieldname || uploads.some((existing) => existing.fieldname === fieldname)) {
+      throw apiError('INVALID_REQUEST', `files[${index}].dataset must be "revenue" or "department", at most once each.`);
     }
-    args.push('--medical', metadata.complaintsMedical);
-    args.push('--administrative', metadata.complaintsAdministrative);
-    args.push('--referrals', metadata.referrals);
-    if (metadata.remarks) {
-    args.push('--remarks', metadata.remarks);
+    if (!UPLOAD_EXTENSIONS.includes(ext) || typeof file.content !== 'string') {
+      throw apiError('INVALID_REQUEST', `files[${index}] needs a .html, .htm, .csv, .xls or .xlsx name and string content.`);
     }
-    args.push(...csvPaths);
 
-    execFile(
-      'node',
-      args,
-      { cwd: __dirname },
-      (error, stdout, stderr) => {
-        if (error) {
-          reject(
-            new Error(
-              `Failed to sync data to Google Sheets: ${stderr || error.message}`,
-            ),
-          );
-          return;
-        }
-        console.log(stdout);
-        resolve();
-      },
-    );
+    const filePath = path.join(workspaceDir, `${Date.now()}-${fieldname}${ext}`);
+    await fs.promises.writeFile(filePath, Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8'));
+    uploads.push({ fieldname, originalname: path.basename(file.name), path: filePath });
+  }
+  return uploads;
+}
+
+/** Uploaders see their own batches and jobs; supervisors and admins see everyone's. */
+function canHandleSubmission(user, metadata = {}) {
+  if (user.role === 'supervisor' || user.role === 'admin') return true;
+  return metadata.user === user.username && canAccessClinic(user, metadata.clinic);
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user.role === 'admin') {
+    next();
+    return;
+  }
+  res.status(403).send(renderNotice('Not Allowed', 'Only admins can manage user accounts and the doctor registry.'));
+}
+
+/**
+ * Mappings apply to every clinic's later syncs: accept only the entities
+ * this batch left unresolved, and clinic names only from supervisors and
+ * admins.
+ */
+function checkEntityMappings(entries, batch, user) {
+  const unresolved = new Set((batch.unresolved || []).map(({ type, key }) => `${type}:${key}`));
+  entries.forEach((entry) => {
+    const { type, key } = entry || {};
+    if (!unresolved.has(`${type}:${key}`)) {
+      throw new Error('Only the names listed for this upload can be mapped.');
+    }
+    if (type === 'clinic' && user.role !== 'supervisor' && user.role !== 'admin') {
+      throw forbiddenError('Only supervisors and admins may map clinic names. Please ask one to review this upload.');
+    }
   });
 }
 
+function badRequestError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function forbiddenError(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/** Only follow local paths after login, never another host. */
+function safeRedirect(target) {
+  const value = String(target || '');
+  return value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+function apiError(code, message) {
+  return new SyncError(message, code);
+}
+
+/** `error` is a thrown error or a failed job's saved error record. */
+function sendApiError(res, error, jobId = null) {
+  const status = API_ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error(error);
+  }
+  res.status(status).json({
+    error: {
+      code: error.code || 'SYNC_FAILED',
+      message: error.message,
+      ...(error.results ? { validation: error.results } : {}),
+      ...(error.entities ? { unresolved: error.entities } : {}),
+      ...(jobId ? { jobId } : {}),
+    },
+  });
+}
+
+function syncOptions(csvInputs, metadata) {
+  return {
+    files: csvInputs,
+    clinic: metadata.clinic,
+    period: metadata.reportPeriod,
+    user: metadata.user,
+    metrics: {
+      medicalComplaints: metadata.complaintsMedical,
+      administrativeComplaints: metadata.complaintsAdministrative,
+      referrals: metadata.referrals,
+      remarks: metadata.remarks,
+    },
+  };
+}
+
+/**
+ * Audit failures are logged, never surfaced: the sync result matters more to
+ * the user. `user` is whoever acted; it defaults to the submission's uploader.
+ */
+async function auditSubmission({ metadata, uploadedFiles, tabs, snapshotId }, outcome, error = null, user = null) {
+  try {
+    await recordSubmission({
+      clinic: metadata.clinic,
+      reportPeriod: metadata.reportPeriod,
+      user: user ? user.username : metadata.user || null,
+      files: uploadedFiles || [],
+      tabs: tabs || [],
+      outcome,
+      ...(snapshotId ? { snapshotId } : {}),
+      ...(error ? { error: error.details ? `${error.message}\n${error.details}` : error.message } : {}),
+    });
+  } catch (logError) {
+    console.warn(`Unable to record submission in the audit log: ${logError.message}`);
+  }
+}
+
+async function saveBatch(workspaceDir, batch) {
+  await fs.promises.writeFile(path.join(workspaceDir, BATCH_FILE), JSON.stringify(batch));
+}
+
+function batchWorkspace(batchId) {
+  return /^batch-[A-Za-z0-9]+$/.test(batchId || '') ? path.join(uploadRoot, batchId) : null;
+}
+
+/** A batch that is still waiting for confirmation, or null. */
+async function readPendingBatch(batchId) {
+  const workspaceDir = batchWorkspace(batchId);
+  if (!workspaceDir) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(workspaceDir, BATCH_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take ownership of a pending batch so it is confirmed or cancelled at most
+ * once, even when the confirm button is clicked twice.
+ */
+async function claimBatch(batchId) {
+  const workspaceDir = batchWorkspace(batchId);
+  if (!workspaceDir) return null;
+
+  const batchFile = path.join(workspaceDir, BATCH_FILE);
+  const claimedFile = `${batchFile}.claimed`;
+
+  try {
+    await fs.promises.rename(batchFile, claimedFile);
+  } catch {
+    return null;
+  }
+
+  const batch = JSON.parse(await fs.promises.readFile(claimedFile, 'utf8'));
+  return { ...batch, workspaceDir };
+}
+
+/** Undo claimBatch() so the batch can be confirmed again. Resolves to false when that fails. */
+async function releaseBatch(batch) {
+  const batchFile = path.join(batch.workspaceDir, BATCH_FILE);
+  try {
+    await fs.promises.rename(`${batchFile}.claimed`, batchFile);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function pruneStaleWorkspaces() {
+  const entries = await fs.promises.readdir(uploadRoot, { withFileTypes: true });
+  const cutoff = Date.now() - PENDING_BATCH_TTL_MS;
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const dirPath = path.join(uploadRoot, entry.name);
+    const stats = await fs.promises.stat(dirPath);
+    if (stats.mtimeMs < cutoff) {
+      await removeDirectory(dirPath);
+    }
+  }
+}
+
 function ensureDirectory(dir) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -169,7 +900,7 @@ async function removeDirectory(dirPath) {
   }
 }
 
-function renderForm(errorMessage) {
+function renderForm(user, errorMessage, errorDetails) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -257,29 +988,56 @@ function renderForm(errorMessage) {
       margin-bottom: 18px;
       border: 1px solid rgba(255, 86, 92, 0.4);
     }
+    .links {
+      margin: 20px 0 0;
+      text-align: center;
+    }
+    .links a {
+      color: #9fb3ff;
+    }
+    .user-bar {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin: -12px 0 20px;
+      font-size: 0.85rem;
+      color: rgba(245, 246, 251, 0.7);
+    }
+    .user-bar a { color: #9fb3ff; margin-right: 12px; }
+    .user-bar form { display: inline; }
+    .user-bar button {
+      width: auto;
+      margin: 0;
+      padding: 6px 12px;
+      font-size: 0.85rem;
+      background: rgba(255, 255, 255, 0.12);
+    }
+    .error pre {
+      margin: 10px 0 0;
+      white-space: pre-wrap;
+      font-size: 0.85rem;
+      line-height: 1.5;
+    }
   </style>
 </head>
 <body>
   <div class="card">
     <h1>Dallah Clinics Upload</h1>
-    ${errorMessage ? `<div class="error">${errorMessage}</div>` : ''}
+    ${renderUserBar(user)}
+    ${errorMessage ? `<div class="error">${escapeHtml(errorMessage)}${errorDetails ? `<pre>${escapeHtml(errorDetails)}</pre>` : ''}</div>` : ''}
     <form action="/submit" method="post" enctype="multipart/form-data">
       <div class="field">
         <label for="revenueFile">Select Revenue File:</label>
-        <input type="file" id="revenueFile" name="revenueFile" accept=".html,.htm,.csv">
+        <input type="file" id="revenueFile" name="revenueFile" accept=".html,.htm,.csv,.xls,.xlsx">
       </div>
       <div class="field">
         <label for="departmentFile">Select Department File:</label>
-        <input type="file" id="departmentFile" name="departmentFile" accept=".html,.htm,.csv">
+        <input type="file" id="departmentFile" name="departmentFile" accept=".html,.htm,.csv,.xls,.xlsx">
       </div>
       <div class="field">
         <label for="clinic">Select Clinic:</label>
         <select id="clinic" name="clinic">
-          <option value="Al Yarmouk">Al Yarmouk</option>
-          <option value="Qurtubah">Qurtubah</option>
-          <option value="Al Salam">Al Salam</option>
-          <option value="Al Areed">Al Areed</option>
-          <option value="Executive">Executive</option>
+          ${allowedClinics(user, CLINICS).map((clinic) => `<option value="${escapeHtml(clinic)}">${escapeHtml(clinic)}</option>`).join('\n          ')}
         </select>
       </div>
       <div class="field">
@@ -302,14 +1060,15 @@ function renderForm(errorMessage) {
         <label for="referrals">Number of Referral Patients:</label>
         <input type="number" min="0" id="referrals" name="referrals" placeholder="0">
       </div>
-      <button type="submit">Submit</button>
+      <button type="submit">Preview</button>
     </form>
+    <p class="links"><a href="/history">Submission history</a></p>
   </div>
 </body>
 </html>`;
 }
 
-function renderSuccess(metadata, htmlFiles, csvFiles) {
+function renderSuccess(metadata, uploadedFiles, csvFiles, { target, snapshotId, reconciliation = [], anomalies = [] } = {}) {
   const rows = [
     ['Clinic', metadata.clinic || '-'],
     ['Month & Year', metadata.reportPeriod || '-'],
@@ -326,7 +1085,7 @@ function renderSuccess(metadata, htmlFiles, csvFiles) {
     )
     .join('');
 
-  const htmlList = htmlFiles
+  const uploadList = uploadedFiles
     .map((file) => `<li>${escapeHtml(path.basename(file))}</li>`)
     .join('');
   const csvList = csvFiles
@@ -364,6 +1123,15 @@ function renderSuccess(metadata, htmlFiles, csvFiles) {
     table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
     td { padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.08); }
     ul { margin: 0; padding-left: 18px; }
+    th { padding: 8px 10px 8px 0; text-align: left; }
+    .warning {
+      background: rgba(255, 184, 77, 0.15);
+      color: #ffd08a;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid rgba(255, 184, 77, 0.4);
+      margin-bottom: 16px;
+    }
     a {
       display: inline-block;
       margin-top: 20px;
@@ -373,34 +1141,942 @@ function renderSuccess(metadata, htmlFiles, csvFiles) {
       color: #fff;
       text-decoration: none;
     }
+    form { display: inline-block; margin: 20px 0 0 8px; }
+    button {
+      padding: 12px 20px;
+      border-radius: 10px;
+      border: none;
+      background: rgba(255,255,255,0.12);
+      color: #fff;
+      font-size: 1rem;
+      cursor: pointer;
+    }
   </style>
 </head>
 <body>
   <div class="card">
     <h1>Upload Successful</h1>
-    <p>The reports were converted and synced to Google Sheets.</p>
+    <p>The reports were converted and synced${target ? ` to ${escapeHtml(target)}` : ''}.</p>
     <table>${metaRows}</table>
-    <p><strong>Uploaded HTML files:</strong></p>
-    <ul>${htmlList}</ul>
+    ${renderAnomalies(anomalies)}
+    ${renderReconciliation(reconciliation)}
+    <p><strong>Uploaded files:</strong></p>
+    <ul>${uploadList}</ul>
     <p><strong>Generated CSV files:</strong></p>
     <ul>${csvList}</ul>
     <a href="/">Upload another report</a>
+    ${snapshotId ? `<form action="/rollback/${escapeHtml(snapshotId)}" method="post" onsubmit="return confirm('Restore the rows this upload replaced?');">
+      <button type="submit">Undo this upload</button>
+    </form>` : ''}
   </div>
 </body>
 </html>`;
 }
 
-function sanitizeText(value) {
-  return (value || '').trim();
+const ENTITY_LABELS = {
+  doctor: 'Doctor',
+  department: 'Department',
+  clinic: 'Clinic',
+};
+
+function renderPreview(
+  batchId,
+  { metadata, plan, warnings = [], unresolved = [], csvInputs = [], reconciliation = [], anomalies = [] },
+  choices,
+  errorMessage,
+) {
+  const metaRows = [
+    ['Clinic', metadata.clinic || '-'],
+    ['Month & Year', metadata.reportPeriod || '-'],
+  ]
+    .map(
+      ([label, value]) =>
+        `<tr><td><strong>${label}</strong></td><td>${escapeHtml(value)}</td></tr>`,
+    )
+    .join('');
+
+  const replacements = plan.filter((tab) => tab.updates.length || tab.removals.length);
+  const replaceNotice = replacements.length
+    ? `<div class="warning">Confirming will change existing data for ${escapeHtml(metadata.clinic || '-')} (${escapeHtml(metadata.reportPeriod || '-')}): ${replacements
+      .map((tab) => `${tab.updates.length} updated and ${tab.removals.length} removed row(s) in ${escapeHtml(tab.tabName)}`)
+      .join(', ')}.</div>`
+    : '<p>No existing rows will be changed for this clinic and month.</p>';
+
+  const summaryRows = plan
+    .map(
+      (tab) =>
+        `<tr><td><strong>${escapeHtml(tab.tabName)}</strong></td><td>${tab.additions.length} added</td><td>${tab.updates.length} updated</td><td>${tab.removals.length} removed</td><td>${tab.unchanged} unchanged</td></tr>`,
+    )
+    .join('');
+
+  const tabSections = plan
+    .map((tab) => {
+      if (!tab.header.length) {
+        return `<h2>${escapeHtml(tab.tabName)}</h2><p>No rows.</p>`;
+      }
+      const removedSection = tab.removals.length
+        ? `<h3>Rows to remove</h3>${renderRowsTable(tab.header, tab.removals.map(({ previous }) => previous))}`
+        : '';
+      return `<h2>${escapeHtml(tab.tabName)}</h2>${renderRowsTable(tab.header, tab.incomingRows)}${removedSection}`;
+    })
+    .join('');
+
+  const datalists = Object.entries(choices)
+    .map(
+      ([type, names]) =>
+        `<datalist id="choices-${type}">${names.map((name) => `<option value="${escapeHtml(name)}">`).join('')}</datalist>`,
+    )
+    .join('');
+  const workbooks = csvInputs.filter(({ sheets = [] }) => sheets.length > 1);
+  const sheetSection = workbooks.length
+    ? `<form action="/preview/${escapeHtml(batchId)}/sheets" method="post" class="sheets">
+      <h2>Worksheets</h2>
+      <p>These workbooks have more than one worksheet. Pick the one that holds the report if the rows below are wrong.</p>
+      <table>${workbooks
+        .map(
+          ({ dataset, name, sheet, sheets }) => `<tr>
+          <td><strong>${dataset === 'revenue' ? 'Revenue' : 'Department'} report</strong>${name ? ` (${escapeHtml(name)})` : ''}</td>
+          <td><select name="sheets[${escapeHtml(dataset)}]">${sheets
+            .map((option) => `<option value="${escapeHtml(option)}"${option === sheet ? ' selected' : ''}>${escapeHtml(option)}</option>`)
+            .join('')}</select></td>
+        </tr>`,
+        )
+        .join('')}</table>
+      <button type="submit" class="secondary">Use these worksheets</button>
+    </form>`
+    : '';
+
+  const unresolvedSection = unresolved.length
+    ? `<div class="review">
+      <h2>Map before syncing</h2>
+      <p>These rows would be written as <strong>Unknown</strong> (or with a department outside the standard list). Pick an existing name or type a new one. Your choice is remembered for later uploads.</p>
+      <form action="/preview/${escapeHtml(batchId)}/mappings" method="post">
+        <table>
+          <thead><tr><th>Type</th><th>Seen as</th><th>Rows</th><th>Map to</th></tr></thead>
+          <tbody>${unresolved
+            .map(
+              (entity, index) => `<tr>
+            <td>${ENTITY_LABELS[entity.type] || escapeHtml(entity.type)}</td>
+            <td>${escapeHtml(entity.label)}</td>
+            <td>${entity.rows} (${escapeHtml(entity.datasets.join(', ') || '-')})</td>
+            <td>
+              <input type="hidden" name="mappings[${index}][type]" value="${escapeHtml(entity.type)}">
+              <input type="hidden" name="mappings[${index}][key]" value="${escapeHtml(entity.key)}">
+              <input name="mappings[${index}][value]" list="choices-${escapeHtml(entity.type)}" required>
+            </td>
+          </tr>`,
+            )
+            .join('')}</tbody>
+        </table>
+        ${datalists}
+        <button type="submit">Save mappings and check again</button>
+      </form>
+    </div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Review Upload</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      width: 100%;
+      max-width: 1100px;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    h2 { font-size: 1.1rem; margin: 28px 0 10px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    td, th { padding: 8px 10px 8px 0; border-bottom: 1px solid rgba(255,255,255,0.08); text-align: left; }
+    .rows { overflow-x: auto; max-height: 420px; }
+    .rows table { font-size: 0.85rem; white-space: nowrap; }
+    .warning {
+      background: rgba(255, 184, 77, 0.15);
+      color: #ffd08a;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid rgba(255, 184, 77, 0.4);
+      margin-bottom: 16px;
+    }
+    .actions { display: flex; gap: 12px; margin-top: 24px; }
+    .actions form { margin: 0; }
+    button {
+      padding: 12px 20px;
+      border-radius: 10px;
+      border: none;
+      background: #556dff;
+      color: #fff;
+      font-size: 1rem;
+      cursor: pointer;
+    }
+    button.secondary { background: rgba(255,255,255,0.12); }
+    .review {
+      border: 1px solid rgba(255, 184, 77, 0.4);
+      border-radius: 12px;
+      padding: 4px 16px 16px;
+      margin-bottom: 24px;
+    }
+    .review input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px 10px;
+      border-radius: 8px;
+      border: none;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    .review button { margin-top: 12px; }
+    .sheets select {
+      padding: 8px 10px;
+      border-radius: 8px;
+      border: none;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    .error {
+      background: rgba(255, 77, 79, 0.15);
+      color: #ff9c9f;
+      padding: 12px 16px;
+      border-radius: 12px;
+      margin-bottom: 16px;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Review Upload</h1>
+    <p>Nothing has been synced yet. Check the clinic, month and rows below, then confirm.</p>
+    <table>${metaRows}</table>
+    ${errorMessage ? `<div class="error">${escapeHtml(errorMessage)}</div>` : ''}
+    ${sheetSection}
+    ${unresolvedSection}
+    ${replaceNotice}
+    ${warnings.map((warning) => `<div class="warning">${escapeHtml(warning)}</div>`).join('')}
+    ${renderAnomalies(anomalies)}
+    ${renderReconciliation(reconciliation)}
+    <table>${summaryRows}</table>
+    ${tabSections}
+    <div class="actions">
+      ${unresolved.length ? '' : `<form action="/confirm/${escapeHtml(batchId)}" method="post"><button type="submit">Confirm and sync</button></form>`}
+      <form action="/cancel/${escapeHtml(batchId)}" method="post"><button type="submit" class="secondary">Cancel</button></form>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+const ANOMALY_LABELS = {
+  swing: 'Large change',
+  missing: 'Doctor missing',
+  new: 'New doctor',
+};
+
+/**
+ * Month-over-month flags for the preview and success pages. Most of them
+ * mean a wrong month or clinic was picked, so they lead the page.
+ */
+function renderAnomalies(anomalies = []) {
+  if (!anomalies.length) return '';
+  return `<h2>Compared with earlier months</h2>
+    <div class="warning">${anomalies.length} unusual change(s) against this clinic's earlier months. Check that the clinic and month are right.</div>
+    <table>
+      <thead><tr><th>Flag</th><th>Report</th><th>Details</th></tr></thead>
+      <tbody>${anomalies
+        .map(
+          ({ type, dataset, note }) =>
+            `<tr><td>${ANOMALY_LABELS[type] || escapeHtml(type)}</td><td>${dataset === 'revenue' ? 'Revenue' : 'Department'}</td><td>${escapeHtml(note)}</td></tr>`,
+        )
+        .join('')}</tbody>
+    </table>`;
+}
+
+/**
+ * "Totals check" for the preview and success pages: whether the rows add up
+ * to the Total and Grand Total rows printed in each report.
+ */
+function renderReconciliation(reconciliation = []) {
+  if (!reconciliation.length) return '';
+  const reportLabel = ({ dataset, file }) =>
+    (dataset === 'revenue' ? 'Revenue report' : dataset === 'department' ? 'Department report' : file);
+
+  const sections = reconciliation.map((report) => {
+    if (!report.differences.length) {
+      return `<p>${escapeHtml(reportLabel(report))}: all ${report.checked} report total(s) match the rows.</p>`;
+    }
+    return `<div class="warning">${escapeHtml(reportLabel(report))}: ${report.differences.length} of ${report.checked} report total(s) do not match the rows.</div>
+    <table>
+      <thead><tr><th>Scope</th><th>Column</th><th>Report total</th><th>Rows add up to</th><th>Difference</th></tr></thead>
+      <tbody>${report.differences
+        .map(
+          ({ scope, column, reported, actual, difference }) =>
+            `<tr><td>${escapeHtml(scope)}</td><td>${escapeHtml(column)}</td><td>${reported}</td><td>${actual}</td><td>${difference > 0 ? '+' : ''}${difference}</td></tr>`,
+        )
+        .join('')}</tbody>
+    </table>`;
+  });
+  return `<h2>Totals check</h2>${sections.join('')}`;
+}
+
+function renderRowsTable(header, rows) {
+  const headerCells = header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('');
+  const bodyRows = rows
+    .map((row) => `<tr>${header.map((_, idx) => `<td>${escapeHtml(row[idx] ?? '')}</td>`).join('')}</tr>`)
+    .join('');
+
+  return `<div class="rows"><table><thead><tr>${headerCells}</tr></thead><tbody>${bodyRows}</tbody></table></div>`;
+}
+
+function renderNotice(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      width: 100%;
+      max-width: 640px;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    p { white-space: pre-wrap; }
+    a {
+      display: inline-block;
+      margin: 20px 8px 0 0;
+      padding: 12px 20px;
+      border-radius: 10px;
+      background: #556dff;
+      color: #fff;
+      text-decoration: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <a href="/history">Submission history</a>
+    <a href="/">Upload a report</a>
+  </div>
+</body>
+</html>`;
+}
+
+const JOB_TITLES = {
+  preview: 'Preparing Upload',
+  sync: 'Syncing Upload',
+  api: 'API Submission',
+};
+const STAGE_LABELS = {
+  pending: 'Waiting',
+  running: 'In progress…',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+function renderJob(job) {
+  const finished = job.status === 'succeeded' || job.status === 'failed';
+  const stageItems = job.stages
+    .map(
+      (stage) =>
+        `<li class="${stage.status}"><span>${escapeHtml(stage.name)}</span><span>${STAGE_LABELS[stage.status]}</span></li>`,
+    )
+    .join('');
+
+  let outcome = job.status === 'queued'
+    ? '<p id="status">Waiting for earlier submissions to finish…</p>'
+    : '<p id="status">Working… this page updates by itself.</p>';
+  if (job.status === 'succeeded') {
+    outcome = '<p id="status">Finished.</p>';
+  }
+  if (job.status === 'failed') {
+    const { message, details, retryBatchId } = job.error || {};
+    outcome = `<div class="error">${escapeHtml(message || 'The job failed.')}</div>
+    ${details ? `<pre>${escapeHtml(details)}</pre>` : ''}
+    ${retryBatchId ? `<form action="/confirm/${escapeHtml(retryBatchId)}" method="post"><button type="submit">Try again</button></form>` : ''}`;
+  }
+
+  const { metadata = {} } = job.context || {};
+  const poller = finished
+    ? ''
+    : `<script>
+    (function poll() {
+      setTimeout(async () => {
+        try {
+          const response = await fetch('/api/jobs/${escapeHtml(job.id)}');
+          const current = await response.json();
+          if (current.status === 'succeeded' || current.status === 'failed') {
+            window.location.reload();
+            return;
+          }
+          const items = document.querySelectorAll('#stages li');
+          current.stages.forEach((stage, idx) => {
+            if (!items[idx]) return;
+            items[idx].className = stage.status;
+            items[idx].lastElementChild.textContent = ${JSON.stringify(STAGE_LABELS)}[stage.status];
+          });
+        } catch (error) {
+          // Keep polling through transient network errors.
+        }
+        poll();
+      }, 1500);
+    })();
+  </script>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(JOB_TITLES[job.type] || 'Job')}</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      width: 100%;
+      max-width: 640px;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    ul { list-style: none; margin: 0 0 20px; padding: 0; }
+    li {
+      display: flex;
+      justify-content: space-between;
+      padding: 10px 0;
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+      text-transform: capitalize;
+      color: rgba(245,246,251,0.5);
+    }
+    li.running { color: #9db0ff; }
+    li.done { color: #86efac; }
+    li.failed { color: #fca5a5; }
+    .error {
+      background: rgba(255, 82, 82, 0.15);
+      color: #ff9c9c;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid rgba(255, 82, 82, 0.4);
+    }
+    pre { white-space: pre-wrap; font-size: 0.85rem; }
+    a {
+      display: inline-block;
+      margin: 20px 8px 0 0;
+      padding: 12px 20px;
+      border-radius: 10px;
+      background: #556dff;
+      color: #fff;
+      text-decoration: none;
+    }
+    button {
+      margin-top: 20px;
+      padding: 12px 20px;
+      border: none;
+      border-radius: 10px;
+      background: #22c55e;
+      color: #fff;
+      font-size: 1rem;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(JOB_TITLES[job.type] || 'Job')}</h1>
+    <p>${escapeHtml(metadata.clinic || '-')} (${escapeHtml(metadata.reportPeriod || '-')})</p>
+    <ul id="stages">${stageItems}</ul>
+    ${outcome}
+    ${finished ? '<a href="/">Upload a report</a><a href="/history">Submission history</a>' : ''}
+  </div>
+  ${poller}
+</body>
+</html>`;
+}
+
+function formatTabChanges(tab) {
+  // Entries logged before upserts only recorded how many rows were replaced.
+  if (tab.added === undefined) return `replaced ${tab.replaced}`;
+  return `+${tab.added} ~${tab.updated} -${tab.removed}`;
+}
+
+function renderHistory(entries, filters, user) {
+  const rolledBack = new Set(
+    entries.filter((entry) => entry.outcome === 'rolled back').map((entry) => entry.snapshotId),
+  );
+
+  const clinicOptions = ['', ...allowedClinics(user, CLINICS)]
+    .map(
+      (clinic) =>
+        `<option value="${escapeHtml(clinic)}"${clinic === filters.clinic ? ' selected' : ''}>${escapeHtml(clinic || 'All clinics')}</option>`,
+    )
+    .join('');
+
+  const bodyRows = entries
+    .map((entry) => {
+      const files = (entry.files || [])
+        .map((file) => `${escapeHtml(file.name)} <code>${escapeHtml((file.sha256 || '').slice(0, 12))}</code>`)
+        .join('<br>');
+      const tabs = (entry.tabs || [])
+        .map((tab) => `${escapeHtml(tab.tabName)}: ${tab.rows} (${formatTabChanges(tab)})`)
+        .join('<br>');
+      const outcome = entry.error
+        ? `${escapeHtml(entry.outcome)}<div class="detail">${escapeHtml(entry.error)}</div>`
+        : escapeHtml(entry.outcome);
+      const rollback =
+        entry.outcome === 'synced' && entry.snapshotId && !rolledBack.has(entry.snapshotId)
+          ? `<form class="inline" action="/rollback/${escapeHtml(entry.snapshotId)}" method="post" onsubmit="return confirm('Restore the rows this upload replaced?');"><button type="submit">Roll back</button></form>`
+          : '';
+
+      return `<tr>
+        <td>${escapeHtml(entry.timestamp)}</td>
+        <td>${escapeHtml(entry.clinic || '-')}</td>
+        <td>${escapeHtml(entry.reportPeriod || '-')}</td>
+        <td>${escapeHtml(entry.user || '-')}</td>
+        <td>${files || '-'}</td>
+        <td>${tabs || '-'}</td>
+        <td class="outcome-${escapeHtml(entry.outcome.replace(/\s+/g, '-'))}">${outcome}${rollback}</td>
+      </tr>`;
+    })
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Submission History</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    form { display: flex; gap: 12px; margin-bottom: 24px; }
+    select, input, button {
+      border-radius: 10px;
+      border: none;
+      padding: 10px 14px;
+      font-size: 0.95rem;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    button { background: #556dff; color: #fff; cursor: pointer; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.88rem; }
+    th, td { padding: 8px 10px 8px 0; border-bottom: 1px solid rgba(255,255,255,0.08); text-align: left; vertical-align: top; }
+    code { color: #9fb3ff; }
+    .detail { white-space: pre-wrap; color: #ff9c9f; font-size: 0.8rem; margin-top: 4px; }
+    .outcome-synced { color: #7ee2a8; }
+    .outcome-cancelled, .outcome-rolled-back { color: #b7bdd6; }
+    form.inline { display: block; margin: 6px 0 0; }
+    form.inline button { padding: 4px 10px; font-size: 0.8rem; }
+    a { color: #9fb3ff; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Submission History</h1>
+    <form action="/history" method="get">
+      <select name="clinic">${clinicOptions}</select>
+      <input type="month" name="period" value="${escapeHtml(filters.period)}">
+      <button type="submit">Filter</button>
+    </form>
+    ${entries.length
+      ? `<table>
+      <thead><tr><th>Time (UTC)</th><th>Clinic</th><th>Month</th><th>User</th><th>Files</th><th>Rows per tab</th><th>Outcome</th></tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>`
+      : '<p>No submissions match these filters.</p>'}
+    <p><a href="/">Back to upload</a></p>
+  </div>
+</body>
+</html>`;
+}
+
+function renderUserBar(user) {
+  return `<div class="user-bar">
+      <span>Signed in as <strong>${escapeHtml(user.username)}</strong> (${escapeHtml(user.role)})</span>
+      <span>
+        <a href="/history">History</a>
+        ${user.role === 'admin' ? '<a href="/users">Users</a><a href="/doctors">Doctors</a>' : ''}
+        <form action="/logout" method="post"><button type="submit">Log out</button></form>
+      </span>
+    </div>`;
+}
+
+function renderLogin(errorMessage, next, noUsers) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign In</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      width: 100%;
+      max-width: 420px;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    label { display: block; margin: 16px 0 6px; font-size: 0.9rem; }
+    input, button {
+      width: 100%;
+      box-sizing: border-box;
+      border-radius: 10px;
+      border: none;
+      padding: 12px 14px;
+      font-size: 0.95rem;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    button { margin-top: 24px; background: #556dff; color: #fff; cursor: pointer; }
+    .error { color: #ff9c9f; }
+    code { color: #9fb3ff; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Sign In</h1>
+    ${errorMessage ? `<p class="error">${escapeHtml(errorMessage)}</p>` : ''}
+    ${noUsers ? '<p>No accounts exist yet. Create the first one on the server with <code>node users.js add &lt;username&gt; --role admin --password &lt;password&gt;</code>.</p>' : ''}
+    <form action="/login" method="post">
+      <input type="hidden" name="next" value="${escapeHtml(next)}">
+      <label for="username">Username</label>
+      <input id="username" name="username" autocomplete="username" required autofocus>
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required>
+      <button type="submit">Sign in</button>
+    </form>
+  </div>
+</body>
+</html>`;
+}
+
+function renderUsers(users, currentUser, errorMessage) {
+  const roleOptions = (selected) =>
+    ROLES.map((role) => `<option value="${role}"${role === selected ? ' selected' : ''}>${role}</option>`).join('');
+  const clinicChoices = (selected) =>
+    CLINICS.map(
+      (clinic) =>
+        `<label class="check"><input type="checkbox" name="clinics" value="${escapeHtml(clinic)}"${selected.includes(clinic) ? ' checked' : ''}> ${escapeHtml(clinic)}</label>`,
+    ).join('');
+
+  const bodyRows = users
+    .map(
+      (user) => `<tr>
+        <td><strong>${escapeHtml(user.username)}</strong><div class="detail">since ${escapeHtml(user.createdAt || '-')}</div></td>
+        <td colspan="2">
+          <form action="/users/${encodeURIComponent(user.username)}" method="post">
+            <select name="role">${roleOptions(user.role)}</select>
+            <div class="clinics">${clinicChoices(user.clinics)}</div>
+            <input type="password" name="password" placeholder="New password (optional)" autocomplete="new-password">
+            <button type="submit">Save</button>
+          </form>
+        </td>
+        <td>${user.username === currentUser.username
+          ? ''
+          : `<form action="/users/${encodeURIComponent(user.username)}/delete" method="post" onsubmit="return confirm('Remove ${escapeHtml(user.username)}?');"><button type="submit" class="danger">Remove</button></form>`}</td>
+      </tr>`,
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>User Accounts</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      max-width: 1000px;
+      margin: 0 auto;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    form { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; }
+    select, input, button {
+      border-radius: 10px;
+      border: none;
+      padding: 8px 12px;
+      font-size: 0.9rem;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    button { background: #556dff; color: #fff; cursor: pointer; }
+    button.danger { background: #a33a44; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.88rem; margin-bottom: 32px; }
+    th, td { padding: 10px 10px 10px 0; border-bottom: 1px solid rgba(255,255,255,0.08); text-align: left; vertical-align: top; }
+    .clinics { display: flex; flex-wrap: wrap; gap: 10px; width: 100%; }
+    .check { font-size: 0.85rem; }
+    .detail { color: #b7bdd6; font-size: 0.8rem; margin-top: 4px; }
+    .error { color: #ff9c9f; }
+    a { color: #9fb3ff; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>User Accounts</h1>
+    ${errorMessage ? `<p class="error">${escapeHtml(errorMessage)}</p>` : ''}
+    <p class="detail">Clinics only apply to submitters; supervisors and admins can work with every clinic.</p>
+    <table>
+      <thead><tr><th>User</th><th colspan="2">Role, clinics and password</th><th></th></tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>
+    <h2>Add a user</h2>
+    <form action="/users" method="post">
+      <input name="username" placeholder="Username" required>
+      <input type="password" name="password" placeholder="Password" autocomplete="new-password" required>
+      <select name="role">${roleOptions('submitter')}</select>
+      <div class="clinics">${clinicChoices([])}</div>
+      <button type="submit">Create user</button>
+    </form>
+    <p><a href="/">Back to upload</a></p>
+  </div>
+</body>
+</html>`;
+}
+
+const REVIEW_LABELS = {
+  new: 'New doctor ID',
+  conflict: 'Different name',
+};
+
+function renderDoctors(registry, query, errorMessage) {
+  const openReviews = registry.reviews.filter((review) => review.status === 'open');
+  const needle = query.toLowerCase();
+  const doctors = registry.doctors
+    .filter(
+      (doctor) =>
+        !needle ||
+        doctor.id.toLowerCase() === needle ||
+        [doctor.name, ...doctor.aliases].some((name) => name.toLowerCase().includes(needle)),
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const reviewRows = openReviews
+    .map((review) => {
+      const actions = [
+        ['accept', review.type === 'new' ? 'Confirm name' : 'Use this name'],
+        ...(review.type === 'conflict' ? [['alias', 'Keep as alias']] : []),
+        ['dismiss', 'Dismiss'],
+      ]
+        .map(([action, label]) => `<button type="submit" name="action" value="${action}">${label}</button>`)
+        .join('');
+      return `<tr>
+        <td>${REVIEW_LABELS[review.type] || escapeHtml(review.type)}</td>
+        <td><a href="/doctors?q=${encodeURIComponent(review.doctorId)}">${escapeHtml(review.doctorId)}</a></td>
+        <td>${escapeHtml(review.reportedName || '-')}</td>
+        <td>${escapeHtml(review.canonicalName || '-')}</td>
+        <td>${escapeHtml([review.clinic, review.period].filter(Boolean).join(' / ') || '-')}</td>
+        <td><form class="inline" action="/doctors/reviews/${encodeURIComponent(review.id)}" method="post">${actions}</form></td>
+      </tr>`;
+    })
+    .join('');
+
+  const doctorRows = doctors
+    .map(
+      (doctor) => `<tr>
+        <td><code>${escapeHtml(doctor.id)}</code><div class="detail">${doctor.updatedBy ? `edited by ${escapeHtml(doctor.updatedBy)}` : ''}</div></td>
+        <td colspan="4">
+          <form action="/doctors/${encodeURIComponent(doctor.id)}" method="post">
+            <input name="name" value="${escapeHtml(doctor.name)}" placeholder="Canonical name" required>
+            <input name="aliases" value="${escapeHtml(doctor.aliases.join(', '))}" placeholder="Aliases, comma separated">
+            <input name="clinics" value="${escapeHtml(doctor.clinics.join(', '))}" placeholder="Clinics">
+            <input type="date" name="activeFrom" value="${escapeHtml(doctor.activeFrom || '')}" title="Active from">
+            <input type="date" name="activeTo" value="${escapeHtml(doctor.activeTo || '')}" title="Active to">
+            <button type="submit">Save</button>
+          </form>
+        </td>
+      </tr>`,
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Doctor Registry</title>
+  <style>
+    body {
+      font-family: 'Inter', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #050913;
+      color: #f5f6fb;
+      min-height: 100vh;
+      margin: 0;
+      padding: 32px;
+    }
+    .card {
+      background: rgba(13, 18, 35, 0.95);
+      border-radius: 18px;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 32px;
+      box-shadow: 0 25px 50px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.06);
+    }
+    h1 { margin-top: 0; }
+    form { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+    select, input, button {
+      border-radius: 10px;
+      border: none;
+      padding: 8px 12px;
+      font-size: 0.88rem;
+      background: rgba(255,255,255,0.08);
+      color: #e6e9f4;
+    }
+    button { background: #556dff; color: #fff; cursor: pointer; }
+    form.search { margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.88rem; margin-bottom: 32px; }
+    th, td { padding: 8px 10px 8px 0; border-bottom: 1px solid rgba(255,255,255,0.08); text-align: left; vertical-align: top; }
+    code { color: #9fb3ff; }
+    .detail { color: #b7bdd6; font-size: 0.8rem; margin-top: 4px; }
+    .error { color: #ff9c9f; }
+    a { color: #9fb3ff; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Doctor Registry</h1>
+    ${errorMessage ? `<p class="error">${escapeHtml(errorMessage)}</p>` : ''}
+    <h2>Waiting for review (${openReviews.length})</h2>
+    ${openReviews.length
+      ? `<table>
+      <thead><tr><th>Type</th><th>Doctor ID</th><th>Reported name</th><th>Registry name</th><th>Seen in</th><th></th></tr></thead>
+      <tbody>${reviewRows}</tbody>
+    </table>`
+      : '<p class="detail">Nothing to review.</p>'}
+    <h2>Doctors (${doctors.length})</h2>
+    <form class="search" action="/doctors" method="get">
+      <input name="q" value="${escapeHtml(query)}" placeholder="Doctor ID or name">
+      <button type="submit">Search</button>
+    </form>
+    ${doctors.length
+      ? `<table>
+      <thead><tr><th>ID</th><th colspan="4">Canonical name, aliases, clinics and active dates</th></tr></thead>
+      <tbody>${doctorRows}</tbody>
+    </table>`
+      : '<p class="detail">No doctors match. Doctors are added the first time a sync pushes them.</p>'}
+    <p><a href="/">Back to upload</a></p>
+  </div>
+</body>
+</html>`;
+}
+
+function readSubmissionMetadata(body = {}) {
+  return {
+    clinic: sanitizeText(body.clinic),
+    reportPeriod: String(body.reportPeriod || body.period || '').trim(),
+    complaintsMedical: normalizeNumber(body.complaintsMedical),
+    complaintsAdministrative: normalizeNumber(
+      body.complaintsAdministrative,
+    ),
+    remarks: sanitizeTextArea(body.remarks),
+    referrals: normalizeNumber(body.referrals),
+  };
+}
+
+function sanitizeText(value) {
+  return String(value || '').trim();
 }
 
 function sanitizeTextArea(value) {
-  return (value || '').trim();
+  return String(value || '').trim();
 }
 
 function normalizeNumber(value) {
-  const num = Number(value);
-  return Number.isFinite(num) && num >= 0 ? num : 0;
+  const num = parseNumber(value);
+  return num !== null && num >= 0 ? num : 0;
+}
+
+/** "A", "A and B", "A, B and C". */
+function formatList(items) {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
 }
 
 function escapeHtml(value) {
@@ -408,5 +2084,6 @@ function escapeHtml(value) {
     .toString()
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
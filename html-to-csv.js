@@ -1,7 +1,15 @@
 const fs = require('fs');
 const path = require('path');
+const cheerio = require('cheerio');
+const { detectReportProfile, normalizeWithProfileTotals, isTotalsRow } = require('./report-profiles');
+const { createReportTotals, totalsRowValues, saveReportTotals } = require('./report-totals');
+const { readTextFileSync, stripBidiMarks } = require('./text-encoding');
 
-const UNKNOWN_LABEL = 'Unknown';
+// Same limits browsers apply to colspan/rowspan.
+const MAX_COLSPAN = 1000;
+const MAX_ROWSPAN = 65534;
+// Direction-mark references some exports escape twice ("&amp;rlm;"), so they survive cheerio's decoding as text.
+const ESCAPED_BIDI_MARK = /&(?:lrm|rlm|#0*820[67]|#x0*200[ef]|#0*1564|#x0*61c);/gi;
 
 function main() {
   const cliArgs = process.argv.slice(2);
@@ -30,9 +38,9 @@ function discoverHtmlFiles() {
 
 function convertHtmlToCsv(filePath, options = {}) {
   const { quiet = false } = options;
-  const html = fs.readFileSync(filePath, 'utf8');
+  const { text: html } = readTextFileSync(filePath, { markup: true });
   const rows = extractRows(html);
-  const normalized = normalizeRows(rows);
+  const { rows: normalized, totals } = normalizeReport(rows);
 
   if (!normalized.length) {
     console.warn(`No table rows found in ${filePath}. Skipping.`);
@@ -48,6 +56,7 @@ function convertHtmlToCsv(filePath, options = {}) {
   );
 
   fs.writeFileSync(outputPath, csvContent);
+  saveReportTotals(outputPath, totals);
   if (!quiet) {
     console.log(`Created ${outputPath} with ${normalized.length} rows.`);
   }
@@ -56,269 +65,182 @@ function convertHtmlToCsv(filePath, options = {}) {
 }
 
 function extractRows(html) {
-  const rows = [];
-  const rowMatches = html.match(/<tr[\s\S]*?<\/tr>/gi) || [];
-
-  rowMatches.forEach((rowHtml) => {
-    const cellMatches = rowHtml.match(/<t[dh][^>]*>[\s\S]*?<\/t[dh]>/gi) || [];
-    if (!cellMatches.length) {
-      return;
-    }
-
-    const row = [];
-    cellMatches.forEach((cellHtml) => {
-      const cellText = cleanCell(cellHtml);
-      const colspan = extractSpan(cellHtml, 'colspan');
+  const $ = cheerio.load(html);
+  $('script, style, template, noscript').remove();
 
-      row.push(cellText);
-      for (let i = 1; i < colspan; i += 1) {
-        row.push('');
-      }
+  const rows = [];
+  $('table')
+    .filter((_, table) => !$(table).parent().closest('table').length)
+    .each((_, table) => {
+      rows.push(...extractTableRows($, table));
     });
 
-    const compactRow = compressRow(row);
-    if (compactRow) {
-      rows.push(compactRow);
-    }
-  });
-
   return rows;
 }
 
-function compressRow(row) {
-  const filtered = row.filter((cell) => cell !== '');
-  return filtered.length ? filtered : null;
-}
-
-function normalizeRows(rows) {
-  const cleaned = rows.filter((row) => !isTotalsRow(row));
-  if (looksLikeDepartmentReport(rows)) {
-    return normalizeDepartmentReport(rows);
-  }
-
-  return cleaned;
-}
-
-function isTotalsRow(row) {
-  if (!row.length || !row[0]) {
-    return false;
-  }
-
-  const label = row[0].replace(/[:]/g, '').trim().toLowerCase();
-  return (
-    label === 'total' ||
-    label === 'totals' ||
-    label === 'grand totals' ||
-    label === 'grand total'
-  );
-}
-
-function looksLikeDepartmentReport(rows) {
-  const hasDeptRow = rows.some((row) => isDepartmentRow(row));
-  const hasDoctorHeader = rows.some(
-    (row) => row[0] && row[0].trim().toLowerCase() === 'doctor name',
-  );
-
-  return hasDeptRow && hasDoctorHeader;
-}
-
-function normalizeDepartmentReport(rows) {
-  const result = [];
-  let currentDepartment = null;
-  let metricsHeader = null;
-  let lastRowWasTotals = false;
-  let hasDoctorDataInCurrentDept = false;
-
-  rows.forEach((row) => {
-    if (isDepartmentRow(row)) {
-      currentDepartment = parseDepartment(row[0]);
-      lastRowWasTotals = false;
-      hasDoctorDataInCurrentDept = false;
-      return;
-    }
+/**
+ * Lay the table's own rows out on a grid so rowspan values are repeated on
+ * every row they cover and colspan keeps later cells in their columns.
+ * Blank cells keep their column too, including trailing ones: a doctor row
+ * with no metrics must not shrink to one cell and read as a department row.
+ * Only the blank columns a trailing colspan or a rowspan from above adds,
+ * and blank rows, are dropped (see trimRow()). Nested tables are emitted
+ * right after the row that contains them.
+ */
+function extractTableRows($, table) {
+  const rows = [];
+  const pendingSpans = [];
 
-    if (row[0] && row[0].trim().toLowerCase() === 'doctor name') {
-      metricsHeader = row.slice(1);
-      if (metricsHeader.length && !result.length) {
-        result.push([
-          'Department ID',
-          'Department Name',
-          'Doctor ID',
-          'Doctor Name',
-          ...metricsHeader,
-        ]);
+  ownTableRows($, table).forEach((tr) => {
+    const cells = $(tr).children('td, th').toArray();
+    const row = [];
+    let column = 0;
+    let width = 0;
+
+    const fillSpannedColumns = () => {
+      while (pendingSpans[column] && pendingSpans[column].rowsLeft > 0) {
+        row[column] = pendingSpans[column].text;
+        pendingSpans[column].rowsLeft -= 1;
+        column += 1;
       }
-      lastRowWasTotals = false;
-      hasDoctorDataInCurrentDept = false;
-      return;
-    }
+    };
 
-    if (!currentDepartment || !metricsHeader || row.length < 2) {
-      return;
-    }
+    cells.forEach((cell) => {
+      fillSpannedColumns();
+      const text = extractCellText($, cell);
+      const colspan = extractSpan(cell, 'colspan', MAX_COLSPAN);
+      const rowspan = extractSpan(cell, 'rowspan', MAX_ROWSPAN);
+      width = column + 1;
+
+      for (let i = 0; i < colspan; i += 1) {
+        const value = i === 0 ? text : '';
+        row[column + i] = value;
+        if (rowspan > 1) {
+          pendingSpans[column + i] = { text: value, rowsLeft: rowspan - 1 };
+        }
+      }
+      column += colspan;
+    });
 
-    if (isTotalsRow(row)) {
-      lastRowWasTotals = true;
-      return;
+    for (; column < pendingSpans.length; column += 1) {
+      const span = pendingSpans[column];
+      if (span && span.rowsLeft > 0) {
+        row[column] = span.text;
+        span.rowsLeft -= 1;
+      }
     }
 
-    const numericOnlyRow = isNumericOnlyRow(row);
-
-    if (
-      numericOnlyRow &&
-      (lastRowWasTotals || (hasDoctorDataInCurrentDept && !rowIncludesText(row)))
-    ) {
-      // Skip rollups that appear after totals or after we've already captured doctor rows.
-      return;
+    const gridRow = cells.length ? trimRow(Array.from(row, (cell) => cell || ''), width) : null;
+    if (gridRow) {
+      rows.push(gridRow);
     }
 
-    const dataRow =
-      metricsHeader && row.length === metricsHeader.length ? ['', ...row] : row;
-
-    const doctorInfo = parseDoctor(dataRow[0]);
-
-    result.push([
-      (currentDepartment && currentDepartment.id) || UNKNOWN_LABEL,
-      (currentDepartment && currentDepartment.name) || UNKNOWN_LABEL,
-      doctorInfo.id,
-      doctorInfo.name,
-      ...dataRow.slice(1),
-    ]);
-    lastRowWasTotals = false;
-    hasDoctorDataInCurrentDept = true;
+    cells.forEach((cell) => {
+      nestedTables($, cell, table).forEach((nested) => {
+        rows.push(...extractTableRows($, nested));
+      });
+    });
   });
 
-  return result.length ? result : rows;
+  return rows;
 }
 
-function isDepartmentRow(row) {
-  return row.length === 1 && !!parseIdAndName(row[0]);
+function ownTableRows($, table) {
+  return $(table)
+    .find('tr')
+    .filter((_, tr) => $(tr).closest('table').is(table))
+    .toArray();
 }
 
-function rowIncludesText(row) {
-  return row.some((cell) => /[a-z]/i.test(cell));
+function nestedTables($, cell, table) {
+  return $(cell)
+    .find('table')
+    .filter((_, nested) => $(nested).parent().closest('table').is(table))
+    .toArray();
 }
 
-function isNumericOnlyRow(row) {
-  if (!row || !row.length) {
-    return false;
-  }
+/** Visible text of a cell without the text of any nested table. */
+function extractCellText($, cell) {
+  const parts = [];
+  const walk = (node) => {
+    if (node.type === 'text') {
+      parts.push(node.data);
+      return;
+    }
+    if (node.type !== 'tag') return;
+    if (node.name === 'table') return;
+    if (node.name === 'br') {
+      parts.push(' ');
+      return;
+    }
+    parts.push(' ');
+    (node.children || []).forEach(walk);
+    parts.push(' ');
+  };
+  (cell.children || []).forEach(walk);
 
-  return row.every((cell) => cell === '' || /^[\d\s.,-]+$/.test(cell));
+  return stripBidiMarks(dropEscapedBidiMarks(parts.join('')))
+    .replace(/\u00a0/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
-function parseIdAndName(value) {
-  if (!value) {
-    return null;
+/**
+ * The row without the trailing blank cells past its first `width` cells, or
+ * null when every cell is blank.
+ */
+function trimRow(row, width = 0) {
+  let end = row.length;
+  while (end > width && row[end - 1] === '') {
+    end -= 1;
   }
-
-  const match = value.match(/^(\d+)\s*-\s*(.*)$/);
-  if (!match) {
-    return null;
-  }
-
-  return {
-    id: match[1],
-    name: match[2].trim(),
-  };
+  return row.some((cell) => cell !== '') ? row.slice(0, end) : null;
 }
 
-function parseDepartment(value) {
-  return parseLabelWithFallback(value);
-}
-
-function parseDoctor(value) {
-  return parseLabelWithFallback(value);
+function normalizeRows(rows) {
+  return normalizeReport(rows).rows;
 }
 
-function parseLabelWithFallback(value) {
-  const parsed = parseIdAndName(value);
-  if (parsed) {
-    const name = parsed.name || UNKNOWN_LABEL;
-    return {
-      id: parsed.id || UNKNOWN_LABEL,
-      name,
-    };
+/**
+ * normalizeRows() plus the totals rows it drops, as { rows, totals } (see
+ * report-totals.js). In a flat report every totals row sums the whole report.
+ */
+function normalizeReport(rows) {
+  const profile = detectReportProfile(rows);
+  if (profile) {
+    return normalizeWithProfileTotals(rows, profile);
   }
 
-  const text = value ? String(value).trim() : '';
-  if (!text) {
-    return {
-      id: UNKNOWN_LABEL,
-      name: UNKNOWN_LABEL,
-    };
-  }
-
-  const lower = text.toLowerCase();
-  if (lower === 'unknown' || lower === 'null' || lower === 'undefined') {
-    return {
-      id: UNKNOWN_LABEL,
-      name: UNKNOWN_LABEL,
-    };
-  }
-
-  if (/^\d+$/.test(text)) {
-    return {
-      id: text,
-      name: UNKNOWN_LABEL,
-    };
-  }
-
-  return { id: UNKNOWN_LABEL, name: text };
+  const totals = createReportTotals();
+  const cleaned = rows.filter((row) => {
+    if (!isTotalsRow(row)) return true;
+    if (rows.length && !totals.grandTotal) totals.grandTotal = totalsRowValues(rows[0].slice(1), row.slice(1));
+    return false;
+  });
+  return { rows: cleaned, totals };
 }
 
 function cleanCell(cellHtml) {
-  const innerHtml = cellHtml
-    .replace(/^<t[dh][^>]*?>/i, '')
-    .replace(/<\/t[dh]>$/i, '');
-
-  const text = innerHtml
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  return decodeEntities(text);
+  const $ = cheerio.load(`<table><tr>${cellHtml}</tr></table>`);
+  const cell = $('td, th').get(0);
+  return cell ? extractCellText($, cell) : '';
 }
 
-function extractSpan(cellHtml, attributeName) {
-  const match = cellHtml.match(
-    new RegExp(`${attributeName}\\s*=\\s*["']?(\\d+)`, 'i'),
-  );
-  if (!match) {
+function extractSpan(cell, attributeName, max) {
+  const span = parseInt((cell.attribs && cell.attribs[attributeName]) || '', 10);
+  if (!Number.isFinite(span) || span <= 1) {
     return 1;
   }
 
-  const span = parseInt(match[1], 10);
-  return Number.isFinite(span) && span > 1 ? span : 1;
+  return Math.min(span, max);
 }
 
-const htmlEntities = {
-  nbsp: ' ',
-  amp: '&',
-  lt: '<',
-  gt: '>',
-  quot: '"',
-  apos: "'",
-};
-
-function decodeEntities(value) {
-  return value.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
-    const lower = entity.toLowerCase();
-
-    if (htmlEntities[lower]) {
-      return htmlEntities[lower];
-    }
-
-    if (lower.startsWith('#x')) {
-      return String.fromCharCode(parseInt(lower.slice(2), 16));
-    }
-
-    if (lower.startsWith('#')) {
-      return String.fromCharCode(parseInt(lower.slice(1), 10));
-    }
-
-    return match;
-  });
+/**
+ * Cheerio has already decoded the markup, so other "&...;" text is what the
+ * report really says ("&lt;b&gt;" stays as written).
+ */
+function dropEscapedBidiMarks(value) {
+  return value.replace(ESCAPED_BIDI_MARK, '');
 }
 
 function csvEscape(value) {
@@ -340,7 +262,9 @@ module.exports = {
   discoverHtmlFiles,
   extractRows,
   normalizeRows,
+  normalizeReport,
+  trimRow,
   cleanCell,
-  decodeEntities,
+  dropEscapedBidiMarks,
   csvEscape,
 };
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./data-store');
+
+const JOB_DIR = dataPath('jobs');
+// Finished jobs stay viewable this long.
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const activeJobs = new Map();
+const completions = new Map();
+const queue = [];
+let draining = false;
+
+/**
+ * Queue `run` behind the jobs already waiting; jobs run one at a time.
+ * A job record looks like:
+ *
+ *   { id, type, status: 'queued' | 'running' | 'succeeded' | 'failed',
+ *     stages: [{ name, status: 'pending' | 'running' | 'done' | 'failed' }],
+ *     context, result, error: { message, details, ... },
+ *     createdAt, startedAt, finishedAt }
+ *
+ * `run({ startStage })` resolves to the job's result. startStage(name) marks
+ * the stage as running and everything before it as done. Records are written
+ * to data/jobs so a status page still resolves after a restart.
+ */
+async function enqueueJob({ type, stages, context = {} }, run) {
+  const job = {
+    id: `job-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    type,
+    status: 'queued',
+    stages: stages.map((name) => ({ name, status: 'pending' })),
+    context,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  activeJobs.set(job.id, job);
+  await saveJob(job);
+  completions.set(job.id, new Promise((resolve) => {
+    queue.push({ job, run, resolve });
+  }));
+  drainQueue();
+  return job;
+}
+
+function isValidJobId(id) {
+  return /^job-[a-z0-9]+-[a-f0-9]+$/.test(id || '');
+}
+
+async function getJob(id) {
+  if (!isValidJobId(id)) return null;
+  if (activeJobs.has(id)) return activeJobs.get(id);
+
+  const job = await readJsonFile(jobPath(id), null);
+  if (job && (job.status === 'queued' || job.status === 'running')) {
+    // Not in this process's queue, so the server restarted before it finished.
+    return {
+      ...job,
+      status: 'failed',
+      error: { message: 'The server restarted before this job finished. Please submit it again.' },
+    };
+  }
+  return job;
+}
+
+/** Resolves to the job record once it has succeeded or failed. */
+async function waitForJob(id) {
+  return completions.get(id) || getJob(id);
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length) {
+      const { job, run, resolve } = queue.shift();
+      await runJob(job, run);
+      activeJobs.delete(job.id);
+      completions.delete(job.id);
+      resolve(job);
+    }
+    await pruneFinishedJobs();
+  } catch (error) {
+    console.warn(`Job queue error: ${error.message}`);
+  } finally {
+    draining = false;
+  }
+}
+
+async function runJob(job, run) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  const startStage = async (name) => {
+    const index = job.stages.findIndex((stage) => stage.name === name);
+    if (index === -1) return;
+    job.stages.forEach((stage, idx) => {
+      if (idx < index) stage.status = 'done';
+    });
+    job.stages[index].status = 'running';
+    await saveJob(job);
+  };
+
+  try {
+    job.result = (await run({ startStage })) ?? null;
+    job.status = 'succeeded';
+    job.stages.forEach((stage) => {
+      stage.status = 'done';
+    });
+  } catch (error) {
+    job.status = 'failed';
+    job.error = { ...error, message: error.message };
+    job.stages.forEach((stage) => {
+      if (stage.status === 'running') stage.status = 'failed';
+    });
+  }
+
+  job.finishedAt = new Date().toISOString();
+  await saveJob(job);
+}
+
+function jobPath(id) {
+  return path.join(JOB_DIR, `${id}.json`);
+}
+
+async function saveJob(job) {
+  try {
+    await writeJsonFile(jobPath(job.id), job);
+  } catch (error) {
+    console.warn(`Unable to save job ${job.id}: ${error.message}`);
+  }
+}
+
+async function pruneFinishedJobs() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(JOB_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const entry of entries) {
+    if (!entry.endsWith('.json')) continue;
+    const filePath = path.join(JOB_DIR, entry);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtimeMs < cutoff) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  waitForJob,
+};
@@ -0,0 +1,92 @@
+// Currency markers that may prefix or follow an amount; longest first so "S.R." wins over "SR".
+const CURRENCY_TOKENS = ['S.R.', 'SAR', 'SR', 'USD', 'AED', 'EUR', 'GBP', 'ريال', 'ر.س.', 'ر.س', '\ufdfc', '$', '€', '£'];
+const CURRENCY_PATTERN = CURRENCY_TOKENS.map((token) => token.replace(/[.$]/g, '\\$&')).join('|');
+const CURRENCY_PREFIX = new RegExp(`^(?:${CURRENCY_PATTERN})`, 'i');
+const CURRENCY_SUFFIX = new RegExp(`(?:${CURRENCY_PATTERN})$`, 'i');
+// Arabic-Indic (U+0660) and Extended Arabic-Indic (U+06F0) digits.
+const ARABIC_DIGITS = /[\u0660-\u0669\u06f0-\u06f9]/g;
+// Spaces (including no-break and thin) used as thousand separators.
+const SPACES = /[\s\u00a0\u202f\u2009]/g;
+
+/**
+ * The number a report cell means, or null when it is blank or not a number.
+ * Understands what HIS exports and Excel users write:
+ *
+ *   "1,234.50" and "1.234,50"   thousand separators (the last of "." / "," is the decimal point)
+ *   "(250.00)", "250-"          accounting negatives
+ *   "SAR 1,200", "1,200 ر.س"    currency markers before or after the amount
+ *   "12%"                       percentages, kept as written (12, not 0.12)
+ *   "١٬٢٣٤٫٥", "۱۲۳"            Arabic-Indic digits and Arabic separators
+ *
+ * A lone "," followed by three digits ("1,234") is a thousand separator; a
+ * lone "." is always the decimal point.
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === undefined || value === null) return null;
+
+  let text = String(value)
+    .replace(ARABIC_DIGITS, (digit) => String(digit.charCodeAt(0) & 0xf))
+    .replace(/\u066b/g, '.')
+    .replace(/\u066c/g, ',')
+    .replace(/\u066a/g, '%')
+    .replace(/[\u2212\u2013]/g, '-')
+    .replace(SPACES, '');
+  if (!text) return null;
+
+  let negative = false;
+  let previous;
+  do {
+    previous = text;
+    const wrapped = text.match(/^\((.*)\)$/);
+    if (wrapped) {
+      negative = true;
+      text = wrapped[1];
+    }
+    if (/^[-+]/.test(text) || /[-+]$/.test(text)) {
+      negative = negative || text.startsWith('-') || text.endsWith('-');
+      text = text.replace(/^[-+]|[-+]$/g, '');
+    }
+    text = text.replace(/^%|%$/g, '').replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '');
+  } while (text !== previous && text);
+
+  const number = parseDigits(text);
+  if (number === null) return null;
+  return negative && number !== 0 ? -number : number;
+}
+
+function parseDigits(text) {
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) return null;
+
+  const decimal = decimalSeparator(text);
+  const group = decimal ? (decimal === '.' ? ',' : '.') : (text.includes(',') ? ',' : '.');
+  const parts = decimal ? text.split(decimal) : [text];
+  if (parts.length > 2) return null;
+
+  const [integer, fraction = ''] = parts;
+  if (/[.,]/.test(fraction)) return null;
+  if (integer.includes(group) && !isGrouped(integer, group)) return null;
+  const digits = integer.split(group).join('');
+  if (/[.,]/.test(digits)) return null;
+  return Number(`${digits || '0'}.${fraction || '0'}`);
+}
+
+/** The decimal point of "1,234.5" / "1.234,5" / "12,5", or null when every separator groups thousands. */
+function decimalSeparator(text) {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+  if (lastComma !== -1) return text.indexOf(',') !== lastComma || isGrouped(text, ',') ? null : ',';
+  if (lastDot !== -1) return text.indexOf('.') !== lastDot ? null : '.';
+  return null;
+}
+
+/** "1,234,567": one to three digits, then groups of exactly three. */
+function isGrouped(text, separator) {
+  const escaped = separator === '.' ? '\\.' : separator;
+  return new RegExp(`^\\d{1,3}(${escaped}\\d{3})+$`).test(text);
+}
+
+module.exports = {
+  parseNumber,
+};
@@ -0,0 +1,11 @@
+/**
+ * HIS department-wise doctor report: a "123 - Name" department row, then a
+ * "Doctor Name" header row, then one row per doctor with its metrics.
+ */
+module.exports = {
+  name: 'department-report',
+  headerRow: { firstCell: 'doctor name' },
+  groupRow: { pattern: '^(\\d+)\\s*-\\s*(.*)$', cells: 1 },
+  groupColumns: ['Department ID', 'Department Name'],
+  entityColumns: ['Doctor ID', 'Doctor Name'],
+};
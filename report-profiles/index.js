@@ -0,0 +1,288 @@
+/**
+ * Registry of HIS report layouts. A profile describes a grouped report:
+ *
+ *   name            unique profile name
+ *   headerRow       { firstCell } or isHeaderRow(row); the cells after the
+ *                   first one become the metric columns
+ *   groupRow        { pattern, cells } or parseGroupRow(row) -> { id, name } | null;
+ *                   `pattern` captures the id and the name (e.g. "123 - Dental")
+ *   groupColumns    output column names for the group id and name
+ *   entityColumns   output column names for the id and name parsed from the
+ *                   first cell of each data row (e.g. "45 - Dr Name")
+ *   detect          optional detect(rows); defaults to "has a header row and a group row"
+ *   outputColumns   optional outputColumns(metricsHeader) overriding the header
+ *
+ * Every .js or .json file in this directory (and in REPORT_PROFILES_DIR when
+ * set) is registered on load, so a new report type is a new file here.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseNumber } = require('../number-parsing');
+const { createReportTotals, totalsRowValues } = require('../report-totals');
+
+const UNKNOWN_LABEL = 'Unknown';
+const profiles = [];
+
+function registerReportProfile(definition) {
+  const profile = compileProfile(definition);
+  const existingIndex = profiles.findIndex((entry) => entry.name === profile.name);
+  if (existingIndex !== -1) {
+    profiles.splice(existingIndex, 1, profile);
+  } else {
+    profiles.push(profile);
+  }
+  return profile;
+}
+
+function listReportProfiles() {
+  return [...profiles];
+}
+
+function detectReportProfile(rows) {
+  return profiles.find((profile) => profile.detect(rows)) || null;
+}
+
+function compileProfile(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('Report profiles need a "name".');
+  }
+
+  const { name } = definition;
+  const isHeaderRow = definition.isHeaderRow || buildHeaderMatcher(name, definition.headerRow);
+  const parseGroupRow = definition.parseGroupRow || buildGroupParser(name, definition.groupRow);
+  const groupColumns = definition.groupColumns || ['Group ID', 'Group Name'];
+  const entityColumns = definition.entityColumns || ['ID', 'Name'];
+  const outputColumns =
+    definition.outputColumns || ((metricsHeader) => [...groupColumns, ...entityColumns, ...metricsHeader]);
+  const detect =
+    definition.detect ||
+    ((rows) => rows.some((row) => parseGroupRow(row)) && rows.some((row) => isHeaderRow(row)));
+
+  return {
+    name,
+    detect,
+    isHeaderRow,
+    parseGroupRow,
+    parseEntity: definition.parseEntity || parseLabelWithFallback,
+    groupColumns,
+    outputColumns,
+  };
+}
+
+function buildHeaderMatcher(profileName, headerRow) {
+  if (!headerRow || !headerRow.firstCell) {
+    throw new Error(`Report profile "${profileName}" needs headerRow.firstCell or isHeaderRow().`);
+  }
+
+  const expected = headerRow.firstCell.trim().toLowerCase();
+  return (row) => !!row[0] && row[0].trim().toLowerCase() === expected;
+}
+
+function buildGroupParser(profileName, groupRow) {
+  if (!groupRow || !groupRow.pattern) {
+    throw new Error(`Report profile "${profileName}" needs groupRow.pattern or parseGroupRow().`);
+  }
+
+  const pattern = new RegExp(groupRow.pattern);
+  const cells = groupRow.cells || 1;
+  return (row) => {
+    if (row.length !== cells || !row[0]) return null;
+    const match = row[0].match(pattern);
+    if (!match) return null;
+    return {
+      id: (match[1] || '').trim() || UNKNOWN_LABEL,
+      name: (match[2] || '').trim() || UNKNOWN_LABEL,
+    };
+  };
+}
+
+/** Flatten a grouped report into one row per entity, prefixed with its group. */
+function normalizeWithProfile(rows, profile) {
+  return normalizeWithProfileTotals(rows, profile).rows;
+}
+
+/**
+ * normalizeWithProfile() that also returns the totals rows it drops, as
+ * { rows, totals } (see report-totals.js). A group's first "Total" row (or
+ * bare numeric rollup) is its total; a "Grand Total" row is the report's.
+ */
+function normalizeWithProfileTotals(rows, profile) {
+  const result = [];
+  const totals = createReportTotals(profile.groupColumns);
+  let currentGroup = null;
+  let metricsHeader = null;
+  let lastRowWasTotals = false;
+  let hasEntityDataInCurrentGroup = false;
+
+  rows.forEach((row) => {
+    const group = profile.parseGroupRow(row);
+    if (group) {
+      currentGroup = group;
+      lastRowWasTotals = false;
+      hasEntityDataInCurrentGroup = false;
+      return;
+    }
+
+    if (profile.isHeaderRow(row)) {
+      metricsHeader = row.slice(1);
+      if (metricsHeader.length && !result.length) {
+        result.push(profile.outputColumns(metricsHeader));
+      }
+      lastRowWasTotals = false;
+      hasEntityDataInCurrentGroup = false;
+      return;
+    }
+
+    if (!currentGroup || !metricsHeader || row.length < 2) {
+      return;
+    }
+
+    if (isTotalsRow(row)) {
+      const values = totalsRowValues(metricsHeader, row.slice(1));
+      if (/^grand/i.test(row[0].trim())) {
+        totals.grandTotal = totals.grandTotal || values;
+      } else {
+        recordGroupTotal(totals, currentGroup, values);
+      }
+      lastRowWasTotals = true;
+      return;
+    }
+
+    const numericOnlyRow = isNumericOnlyRow(row);
+
+    if (
+      numericOnlyRow &&
+      (lastRowWasTotals || (hasEntityDataInCurrentGroup && !rowIncludesText(row)))
+    ) {
+      // Skip rollups that appear after totals or after we've already captured entity rows.
+      // A rollup without a "Total" row before it is the group's total.
+      // Its first cell is the blank label column, unless the export left that cell out.
+      const cells = row[0] === '' ? row.slice(1) : row;
+      if (!lastRowWasTotals) recordGroupTotal(totals, currentGroup, totalsRowValues(metricsHeader, cells));
+      return;
+    }
+
+    // Blank cells keep their columns, so the first cell is always the entity label.
+    const entityInfo = profile.parseEntity(row[0]);
+
+    result.push([
+      currentGroup.id || UNKNOWN_LABEL,
+      currentGroup.name || UNKNOWN_LABEL,
+      entityInfo.id,
+      entityInfo.name,
+      ...row.slice(1),
+    ]);
+    lastRowWasTotals = false;
+    hasEntityDataInCurrentGroup = true;
+  });
+
+  return result.length ? { rows: result, totals } : { rows, totals: createReportTotals() };
+}
+
+function recordGroupTotal(totals, group, values) {
+  if (!values || totals.groups.some((entry) => entry.id === group.id && entry.name === group.name)) return;
+  totals.groups.push({ id: group.id, name: group.name, values });
+}
+
+function isTotalsRow(row) {
+  if (!row.length || !row[0]) {
+    return false;
+  }
+
+  const label = row[0].replace(/[:]/g, '').trim().toLowerCase();
+  return (
+    label === 'total' ||
+    label === 'totals' ||
+    label === 'grand totals' ||
+    label === 'grand total'
+  );
+}
+
+function rowIncludesText(row) {
+  return row.some((cell) => /[a-z]/i.test(cell));
+}
+
+function isNumericOnlyRow(row) {
+  if (!row || !row.length) {
+    return false;
+  }
+
+  return row.every((cell) => cell === '' || parseNumber(cell) !== null);
+}
+
+function parseIdAndName(value) {
+  if (!value) {
+    return null;
+  }
+
+  const match = value.match(/^(\d+)\s*-\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    id: match[1],
+    name: match[2].trim(),
+  };
+}
+
+function parseLabelWithFallback(value) {
+  const parsed = parseIdAndName(value);
+  if (parsed) {
+    const name = parsed.name || UNKNOWN_LABEL;
+    return {
+      id: parsed.id || UNKNOWN_LABEL,
+      name,
+    };
+  }
+
+  const text = value ? String(value).trim() : '';
+  if (!text) {
+    return {
+      id: UNKNOWN_LABEL,
+      name: UNKNOWN_LABEL,
+    };
+  }
+
+  const lower = text.toLowerCase();
+  if (lower === 'unknown' || lower === 'null' || lower === 'undefined') {
+    return {
+      id: UNKNOWN_LABEL,
+      name: UNKNOWN_LABEL,
+    };
+  }
+
+  if (/^\d+$/.test(text)) {
+    return {
+      id: text,
+      name: UNKNOWN_LABEL,
+    };
+  }
+
+  return { id: UNKNOWN_LABEL, name: text };
+}
+
+function loadProfilesFromDirectory(dir) {
+  fs.readdirSync(dir)
+    .filter((file) => /\.(js|json)$/i.test(file) && file !== 'index.js')
+    .sort()
+    .forEach((file) => {
+      registerReportProfile(require(path.resolve(dir, file)));
+    });
+}
+
+loadProfilesFromDirectory(__dirname);
+if (process.env.REPORT_PROFILES_DIR) {
+  loadProfilesFromDirectory(process.env.REPORT_PROFILES_DIR);
+}
+
+module.exports = {
+  registerReportProfile,
+  listReportProfiles,
+  detectReportProfile,
+  normalizeWithProfile,
+  normalizeWithProfileTotals,
+  isTotalsRow,
+  parseIdAndName,
+  parseLabelWithFallback,
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { parseNumber } = require('./number-parsing');
+const { findColumnIndex } = require('./row-utils');
+
+// Totals of these columns are not sums (shares, averages), so they are not checked.
+const NON_ADDITIVE_COLUMN = /%|percent|share|avg|average|mean|rate|ratio/i;
+// HIS totals are rounded to two decimals.
+const TOLERANCE = 0.01;
+
+/**
+ * Totals a report printed ("Total", "Grand Total" and bare numeric rollup
+ * rows), which the converters drop from the rows but keep as checksums:
+ *
+ *   { groupColumns: ['Department ID', 'Department Name'] | [],
+ *     groups: [{ id, name, values: { [metric]: number } }],
+ *     grandTotal: { [metric]: number } | null }
+ *
+ * Saved next to the converted CSV as <name>.totals.json (see saveReportTotals()).
+ */
+function createReportTotals(groupColumns = []) {
+  return { groupColumns, groups: [], grandTotal: null };
+}
+
+/**
+ * Metric values of a totals row by column name; `cells` line up with
+ * `metricNames` (the converters keep blank cells in their columns). Returns
+ * null when the row has no numbers.
+ */
+function totalsRowValues(metricNames, cells) {
+  const values = {};
+  metricNames.forEach((name, index) => {
+    const number = parseNumber(cells[index]);
+    if (number !== null) values[name] = number;
+  });
+  return Object.keys(values).length ? values : null;
+}
+
+function hasReportTotals(totals) {
+  return !!totals && (totals.groups.length > 0 || !!totals.grandTotal);
+}
+
+function totalsPath(csvPath) {
+  return `${csvPath.replace(/\.csv$/i, '')}.totals.json`;
+}
+
+/** Write the totals beside `csvPath`, or remove a stale file when there are none. */
+function saveReportTotals(csvPath, totals) {
+  const target = totalsPath(csvPath);
+  if (hasReportTotals(totals)) {
+    fs.writeFileSync(target, JSON.stringify(totals, null, 2));
+  } else {
+    fs.rmSync(target, { force: true });
+  }
+}
+
+/** Resolves to the totals saved for a CSV, or null. */
+async function readReportTotals(csvPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(totalsPath(csvPath), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Unable to read ${totalsPath(csvPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Check the rows (header first) against the report's own totals: each
+ * group's rows against its total, and all rows against the grand total, for
+ * every additive metric column. Returns
+ * { checked, differences: [{ scope, column, reported, actual, difference }] }.
+ */
+function reconcileReportTotals(rows, totals) {
+  const result = { checked: 0, differences: [] };
+  if (!rows.length || !hasReportTotals(totals)) return result;
+
+  const [header, ...dataRows] = rows;
+  const groupColumn = (position) => (totals.groupColumns[position] ? findColumnIndex(header, totals.groupColumns[position]) : -1);
+  const idColumn = groupColumn(0);
+  const nameColumn = groupColumn(1);
+  const groupLabel = (totals.groupColumns[0] || 'Group').replace(/\s*id$/i, '');
+
+  const compare = (scope, scopeRows, reportedValues) => {
+    Object.entries(reportedValues).forEach(([column, reported]) => {
+      const index = findColumnIndex(header, column);
+      if (index === -1 || NON_ADDITIVE_COLUMN.test(column)) return;
+
+      const actual = round(scopeRows.reduce((sum, row) => sum + (parseNumber(row[index]) ?? 0), 0));
+      result.checked += 1;
+      if (Math.abs(actual - reported) > TOLERANCE) {
+        result.differences.push({ scope, column, reported, actual, difference: round(actual - reported) });
+      }
+    });
+  };
+
+  totals.groups.forEach((group) => {
+    const byId = idColumn !== -1 && group.id && group.id !== 'Unknown';
+    const groupRows = dataRows.filter((row) =>
+      byId ? String(row[idColumn]).trim() === group.id : nameColumn !== -1 && String(row[nameColumn]).trim() === group.name,
+    );
+    compare(`${groupLabel} ${[group.id, group.name].filter(Boolean).join(' - ')}`, groupRows, group.values);
+  });
+  if (totals.grandTotal) {
+    compare('Grand total', dataRows, totals.grandTotal);
+  }
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  createReportTotals,
+  totalsRowValues,
+  hasReportTotals,
+  saveReportTotals,
+  readReportTotals,
+  reconcileReportTotals,
+};
@@ -0,0 +1,202 @@
+const { parseNumber } = require('./number-parsing');
+
+function findColumnIndex(header, columnName) {
+  return header.findIndex(
+    (cell) => cell && String(cell).trim().toLowerCase() === columnName.trim().toLowerCase()
+  );
+}
+
+/** Convert Excel/Google Sheets serial day number to YYYY-MM-DD (UTC). */
+function excelSerialToIsoDate(serial) {
+  const base = new Date(Date.UTC(1899, 11, 30)); // 1899-12-30
+  const ms = Number(serial) * 24 * 60 * 60 * 1000;
+  const d = new Date(base.getTime() + ms);
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(d.getUTCDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function normalizePeriod(period) {
+  const trimmed = String(period).trim();
+  if (!trimmed) return '';
+
+  // Excel/Sheets serial like 45870 or 45870.0
+  if (/^\d+(\.0+)?$/.test(trimmed)) {
+    return excelSerialToIsoDate(Math.trunc(Number(trimmed)));
+  }
+
+  // ISO-like: 2025-08 or 2025-08-01
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (isoMatch) {
+    const [, year, month, day] = isoMatch;
+    return `${year}-${month}-${day || '01'}`;
+  }
+
+  // Fallback (USER_ENTERED will try to parse)
+  return trimmed;
+}
+
+// Columns that identify a row within a tab, in key order; only those present in both headers are used.
+const UPSERT_KEY_COLUMNS = ['date', 'clinic', 'department id', 'doctor id'];
+
+/**
+ * Predicate for existing rows that belong to the target date (and clinic,
+ * when given). Returns null when the tab has no Date column, in which case
+ * nothing is ever replaced.
+ */
+function buildScopeMatcher(header, targetDate, clinicName = null) {
+  const dateIdx = findColumnIndex(header, 'date');
+  if (dateIdx === -1 || !targetDate) return null;
+
+  const clinicIdx = clinicName !== null ? findColumnIndex(header, 'clinic') : -1;
+  const normalizedTarget = normalizePeriod(targetDate);
+
+  return (row) => {
+    const rowDate = row[dateIdx] || '';
+    if (normalizePeriod(rowDate) !== normalizedTarget) return false;
+    return clinicIdx === -1 || clinicName === null || (row[clinicIdx] || '') === clinicName;
+  };
+}
+
+/**
+ * Work out how to make the target date/clinic scope of a tab match `rows`
+ * (header first) without touching anything outside it. Rows are matched on
+ * UPSERT_KEY_COLUMNS; repeated keys (e.g. several Unknown doctors) pair up
+ * in order. Row indices refer to `existingValues`, where 0 is the header.
+ *
+ * Returns { header, headerChanged, isNewTab, scopeRows, additions, additionKeys,
+ * updates: [{ index, key, row, previous }], removals: [{ index, key, previous }],
+ * unchanged: [{ index, key }] }.
+ */
+function planUpsert(existingValues, rows, { targetDate, targetClinic } = resolveReplaceTarget(rows)) {
+  const [incomingHeader, ...incomingRows] = rows;
+
+  if (!existingValues.length) {
+    const keyOf = buildKeyFunction(incomingHeader, incomingHeader);
+    return {
+      header: incomingHeader,
+      headerChanged: true,
+      isNewTab: true,
+      scopeRows: [],
+      additions: incomingRows,
+      additionKeys: incomingRows.map(keyOf),
+      updates: [],
+      removals: [],
+      unchanged: [],
+    };
+  }
+
+  const existingHeader = existingValues[0];
+  const newColumns = incomingHeader.filter((cell) => findColumnIndex(existingHeader, cell) === -1);
+  const header = [...existingHeader, ...newColumns];
+  const sourceIndices = header.map((cell) => findColumnIndex(incomingHeader, cell));
+  const alignRow = (row, previous = []) =>
+    header.map((_, idx) => {
+      if (sourceIndices[idx] === -1) return previous[idx] ?? '';
+      return row[sourceIndices[idx]] ?? '';
+    });
+
+  const dateIdx = findColumnIndex(header, 'date');
+  const keyOf = buildKeyFunction(header, incomingHeader);
+
+  const inScope = buildScopeMatcher(existingHeader, targetDate, targetClinic);
+  const scopeByKey = new Map();
+  const scopeRows = [];
+  existingValues.slice(1).forEach((row, offset) => {
+    if (!inScope || !inScope(row)) return;
+    scopeRows.push(row);
+    const key = keyOf(row);
+    if (!scopeByKey.has(key)) scopeByKey.set(key, []);
+    scopeByKey.get(key).push({ index: offset + 1, row });
+  });
+
+  const additions = [];
+  const additionKeys = [];
+  const updates = [];
+  const unchanged = [];
+
+  incomingRows.forEach((incoming) => {
+    const aligned = alignRow(incoming);
+    const key = keyOf(aligned);
+    const matches = scopeByKey.get(key);
+    const match = matches && matches.shift();
+
+    if (!match) {
+      additions.push(aligned);
+      additionKeys.push(key);
+      return;
+    }
+
+    const merged = alignRow(incoming, match.row);
+    const changed = merged.some((cell, idx) => !sameCellValue(cell, match.row[idx], idx === dateIdx));
+    if (changed) {
+      updates.push({ index: match.index, key, row: merged, previous: match.row });
+    } else {
+      unchanged.push({ index: match.index, key });
+    }
+  });
+
+  const removals = [];
+  scopeByKey.forEach((matches, key) => {
+    matches.forEach(({ index, row }) => removals.push({ index, key, previous: row }));
+  });
+  removals.sort((a, b) => a.index - b.index);
+
+  return {
+    header,
+    headerChanged: newColumns.length > 0,
+    isNewTab: false,
+    scopeRows,
+    additions,
+    additionKeys,
+    updates,
+    removals,
+    unchanged,
+  };
+}
+
+/** Key for rows laid out on `header`, built from the key columns both headers share. */
+function buildKeyFunction(header, incomingHeader) {
+  const dateIdx = findColumnIndex(header, 'date');
+  const keyIndices = UPSERT_KEY_COLUMNS
+    .filter((name) => findColumnIndex(incomingHeader, name) !== -1 && findColumnIndex(header, name) !== -1)
+    .map((name) => findColumnIndex(header, name));
+
+  return (row) =>
+    keyIndices
+      .map((idx) => (idx === dateIdx ? normalizePeriod(row[idx] ?? '') : String(row[idx] ?? '').trim()))
+      .join(' | ');
+}
+
+/** Sheets hands values back as formatted text, so compare loosely. */
+function sameCellValue(next, previous, isDate = false) {
+  const a = String(next ?? '').trim();
+  const b = String(previous ?? '').trim();
+  if (a === b) return true;
+  if (isDate) return normalizePeriod(a) === normalizePeriod(b);
+
+  const numA = parseNumber(a);
+  const numB = parseNumber(b);
+  return numA !== null && numB !== null && numA === numB;
+}
+
+/** The date/clinic pair a batch replaces, taken from its first data row. */
+function resolveReplaceTarget(rows) {
+  const dateIndex = findColumnIndex(rows[0], 'date');
+  const targetDate = dateIndex !== -1 && rows.length > 1 ? rows[1][dateIndex] : null;
+  const clinicIndex = findColumnIndex(rows[0], 'clinic');
+  const targetClinic = clinicIndex !== -1 && rows.length > 1 ? rows[1][clinicIndex] : null;
+
+  return { targetDate, targetClinic };
+}
+
+module.exports = {
+  UPSERT_KEY_COLUMNS,
+  findColumnIndex,
+  excelSerialToIsoDate,
+  normalizePeriod,
+  buildScopeMatcher,
+  planUpsert,
+  resolveReplaceTarget,
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFile, writeToPath } = require('fast-csv');
+const { createTableSink } = require('./table-sink');
+
+/** One CSV file per tab inside `directory`, e.g. `Revenue.csv`. */
+function createCsvSink({ directory }) {
+  const outputDir = path.resolve(directory);
+
+  const tabPath = (tabName) => path.join(outputDir, `${tabName}.csv`);
+
+  function readTable(tabName) {
+    const filePath = tabPath(tabName);
+    if (!fs.existsSync(filePath)) return Promise.resolve([]);
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      parseFile(filePath)
+        .on('error', reject)
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows));
+    });
+  }
+
+  function writeTable(tabName, rows) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    return new Promise((resolve, reject) => {
+      writeToPath(tabPath(tabName), rows)
+        .on('error', reject)
+        .on('finish', resolve);
+    });
+  }
+
+  return createTableSink({
+    name: 'csv',
+    label: `CSV folder ${outputDir}`,
+    readTable,
+    writeTable,
+  });
+}
+
+module.exports = { createCsvSink };
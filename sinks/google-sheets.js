@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { findColumnIndex, planUpsert } = require('../row-utils');
+
+const SPREADSHEET_NAME = 'Dallah Clinics';
+
+async function createGoogleSheetsSink({ spreadsheetId } = {}) {
+  if (!spreadsheetId) {
+    throw new Error('Provide the target spreadsheet ID via SPREADSHEET_ID env or clinics.config.json.');
+  }
+
+  const auth = await createServiceAccountAuth();
+  const sheets = google.sheets({ version: 'v4', auth });
+
+  return {
+    name: 'sheets',
+    label: `"${SPREADSHEET_NAME}" (${spreadsheetId})`,
+    readRows: (tabName) => readTabValues(sheets, spreadsheetId, tabName),
+    upsertRows: (tabName, rows, scope) => upsertRows(sheets, spreadsheetId, tabName, rows, scope),
+    ensureDateColumnFormat: (tabName, headerRow) =>
+      ensureDateColumnFormat(sheets, spreadsheetId, tabName, headerRow),
+    close: async () => {},
+  };
+}
+
+async function readTabValues(sheets, spreadsheetId, tabName) {
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${tabName}!A:ZZ`,
+    });
+    return response.data.values || [];
+  } catch (error) {
+    if (error.code === 400 || error.code === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Bring the target date/clinic rows of a tab in line with `rows`: changed
+ * rows are rewritten in place, rows that disappeared are deleted one by one
+ * and new rows are appended. Nothing outside the scope is rewritten, so
+ * formatting and notes elsewhere survive and a crash never leaves the tab
+ * cleared.
+ */
+async function upsertRows(sheets, spreadsheetId, tabName, rows, scope) {
+  const existingValues = await readTabValues(sheets, spreadsheetId, tabName);
+  const plan = planUpsert(existingValues, rows, scope);
+
+  if (plan.isNewTab) {
+    await ensureSheet(sheets, spreadsheetId, tabName);
+    await appendValues(sheets, spreadsheetId, tabName, [plan.header, ...plan.additions]);
+    return plan;
+  }
+
+  const data = [];
+  if (plan.headerChanged) {
+    data.push({ range: `${tabName}!A1`, values: [plan.header] });
+  }
+  plan.updates.forEach(({ index, row }) => {
+    data.push({ range: `${tabName}!A${index + 1}`, values: [row] });
+  });
+  if (data.length) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'USER_ENTERED', data },
+    });
+  }
+
+  if (plan.removals.length) {
+    const sheetId = await getSheetIdByTitle(sheets, spreadsheetId, tabName);
+    // Delete bottom-up so earlier row indices stay valid.
+    const requests = [...plan.removals]
+      .sort((a, b) => b.index - a.index)
+      .map(({ index }) => ({
+        deleteDimension: {
+          range: { sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 },
+        },
+      }));
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+  }
+
+  if (plan.additions.length) {
+    await appendValues(sheets, spreadsheetId, tabName, plan.additions);
+  }
+
+  return plan;
+}
+
+async function appendValues(sheets, spreadsheetId, tabName, values) {
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${tabName}!A1`,
+    valueInputOption: 'USER_ENTERED',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values },
+  });
+}
+
+/** Add the tab when the spreadsheet does not have it yet (e.g. the generated Summary tab). */
+async function ensureSheet(sheets, spreadsheetId, tabName) {
+  if ((await getSheetIdByTitle(sheets, spreadsheetId, tabName)) !== null) return;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: { requests: [{ addSheet: { properties: { title: tabName } } }] },
+  });
+}
+
+async function createServiceAccountAuth() {
+  const serviceAccountPath = path.resolve(process.cwd(), '.env');
+  if (!fs.existsSync(serviceAccountPath)) {
+    throw new Error('Missing .env service account file. Place the JSON credentials inside .env.');
+  }
+
+  const raw = fs.readFileSync(serviceAccountPath, 'utf8');
+  let credentials;
+  try {
+    credentials = JSON.parse(raw);
+  } catch {
+    throw new Error('Unable to parse .env. Ensure it contains valid JSON for the service account.');
+  }
+
+  const privateKey = credentials.private_key ? credentials.private_key.replace(/\\n/g, '\n') : null;
+
+  return new google.auth.JWT({
+    email: credentials.client_email,
+    key: privateKey,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+}
+
+// ---------------- DATE COLUMN FORMAT HELPERS ----------------
+async function getSheetIdByTitle(sheets, spreadsheetId, title) {
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties',
+  });
+  const sheet = (meta.data.sheets || []).find(
+    (s) => s.properties && s.properties.title === title
+  );
+  return sheet ? sheet.properties.sheetId : null;
+}
+
+/** Force the 'Date' column to use DATE format (yyyy-mm-dd). */
+async function ensureDateColumnFormat(sheets, spreadsheetId, tabName, headerRow) {
+  const dateColIdx = findColumnIndex(headerRow, 'date');
+  if (dateColIdx === -1) return;
+
+  const sheetId = await getSheetIdByTitle(sheets, spreadsheetId, tabName);
+  if (sheetId == null) return;
+
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [
+        {
+          repeatCell: {
+            range: {
+              sheetId,
+              startRowIndex: 1, // skip header row
+              startColumnIndex: dateColIdx,
+              endColumnIndex: dateColIdx + 1,
+            },
+            cell: {
+              userEnteredFormat: {
+                numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' },
+                horizontalAlignment: 'LEFT',
+              },
+            },
+            fields: 'userEnteredFormat.numberFormat,userEnteredFormat.horizontalAlignment',
+          },
+        },
+      ],
+    },
+  });
+}
+
+module.exports = {
+  SPREADSHEET_NAME,
+  createGoogleSheetsSink,
+  createServiceAccountAuth,
+};
@@ -0,0 +1,60 @@
+/**
+ * Output sinks for the sync pipeline. Every sink exposes:
+ *
+ *   name                                      'sheets' | 'xlsx' | 'sqlite' | 'csv'
+ *   label                                     human readable target for log lines
+ *   readRows(tabName)                         existing rows, header first ([] when the tab is missing)
+ *   upsertRows(tabName, rows, scope)         make the tab's rows for scope { targetDate, targetClinic }
+ *                                             (defaults to the first data row's Date/Clinic) match `rows`
+ *                                             (header first); resolves to the row-utils planUpsert() plan
+ *   ensureDateColumnFormat(tabName, header)   formatting hook, a no-op for local sinks
+ *   close()                                   flush pending writes to disk
+ */
+const path = require('path');
+const { createGoogleSheetsSink } = require('./google-sheets');
+const { createXlsxSink } = require('./xlsx');
+const { createSqliteSink } = require('./sqlite');
+const { createCsvSink } = require('./csv');
+
+const SINK_NAMES = ['sheets', 'xlsx', 'sqlite', 'csv'];
+
+const DEFAULT_OUTPUTS = {
+  xlsx: 'dallah-clinics.xlsx',
+  sqlite: 'dallah-clinics.sqlite',
+  csv: 'dallah-clinics-csv',
+};
+
+async function createSink(name = 'sheets', { spreadsheetId, output } = {}) {
+  switch (name) {
+    case 'sheets':
+      return createGoogleSheetsSink({ spreadsheetId });
+    case 'xlsx':
+      return createXlsxSink({ filePath: output || DEFAULT_OUTPUTS.xlsx });
+    case 'sqlite':
+      return createSqliteSink({ filePath: output || DEFAULT_OUTPUTS.sqlite });
+    case 'csv':
+      return createCsvSink({ directory: output || DEFAULT_OUTPUTS.csv });
+    default:
+      throw new Error(`Unknown sink "${name}". Use one of: ${SINK_NAMES.join(', ')}.`);
+  }
+}
+
+/**
+ * Stable ID of what a sink writes to (spreadsheet ID or absolute output path),
+ * known before the sink is opened. Used to key the sync lock.
+ */
+function resolveSinkTarget(name = 'sheets', { spreadsheetId, output } = {}) {
+  if (name === 'sheets') {
+    return `sheets:${spreadsheetId}`;
+  }
+  if (!DEFAULT_OUTPUTS[name]) {
+    throw new Error(`Unknown sink "${name}". Use one of: ${SINK_NAMES.join(', ')}.`);
+  }
+  return `${name}:${path.resolve(output || DEFAULT_OUTPUTS[name])}`;
+}
+
+module.exports = {
+  SINK_NAMES,
+  createSink,
+  resolveSinkTarget,
+};
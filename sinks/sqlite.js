@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { planUpsert } = require('../row-utils');
+
+/**
+ * One table per tab in a SQLite database file. Columns are created from the
+ * header, and a report that gains a metric column adds it to the table.
+ * Upserts become UPDATE/DELETE/INSERT statements on the matching rowids.
+ */
+async function createSqliteSink({ filePath }) {
+  const dbPath = path.resolve(filePath);
+  const SQL = await initSqlJs();
+  const db = fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+
+  function tableColumns(tabName) {
+    const result = db.exec(`PRAGMA table_info(${quoteIdentifier(tabName)})`);
+    return result.length ? result[0].values.map((column) => column[1]) : [];
+  }
+
+  function selectRows(tabName) {
+    const result = db.exec(`SELECT rowid, * FROM ${quoteIdentifier(tabName)} ORDER BY rowid`);
+    return result.length ? result[0].values : [];
+  }
+
+  async function readRows(tabName) {
+    const columns = tableColumns(tabName);
+    if (!columns.length) return [];
+
+    const dataRows = selectRows(tabName).map((row) => row.slice(1).map(readValue));
+    return [columns, ...dataRows];
+  }
+
+  async function upsertRows(tabName, rows, scope) {
+    const existingValues = await readRows(tabName);
+    const plan = planUpsert(existingValues, rows, scope);
+    const table = quoteIdentifier(tabName);
+    const columnNames = dedupeColumnNames(plan.header);
+    const columnList = columnNames.map(quoteIdentifier).join(', ');
+
+    if (plan.isNewTab) {
+      db.run(`CREATE TABLE ${table} (${columnList})`);
+    } else if (plan.headerChanged) {
+      columnNames
+        .slice(existingValues[0].length)
+        .forEach((name) => db.run(`ALTER TABLE ${table} ADD COLUMN ${quoteIdentifier(name)}`));
+    }
+
+    // readRows returns rows in rowid order, so plan indices map back onto rowids.
+    const rowIds = plan.isNewTab ? [] : [null, ...selectRows(tabName).map(([rowId]) => rowId)];
+
+    if (plan.updates.length) {
+      const statement = db.prepare(
+        `UPDATE ${table} SET ${columnNames.map((name) => `${quoteIdentifier(name)} = ?`).join(', ')} WHERE rowid = ?`,
+      );
+      plan.updates.forEach(({ index, row }) => {
+        statement.run([...columnNames.map((_, idx) => writeValue(row[idx])), rowIds[index]]);
+      });
+      statement.free();
+    }
+
+    if (plan.removals.length) {
+      const ids = plan.removals.map(({ index }) => rowIds[index]);
+      db.run(`DELETE FROM ${table} WHERE rowid IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    if (plan.additions.length) {
+      const statement = db.prepare(
+        `INSERT INTO ${table} (${columnList}) VALUES (${columnNames.map(() => '?').join(', ')})`,
+      );
+      plan.additions.forEach((row) => {
+        statement.run(columnNames.map((_, idx) => writeValue(row[idx])));
+      });
+      statement.free();
+    }
+
+    return plan;
+  }
+
+  return {
+    name: 'sqlite',
+    label: `SQLite database ${dbPath}`,
+    readRows,
+    upsertRows,
+    ensureDateColumnFormat: async () => {},
+    close: async () => {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      fs.writeFileSync(dbPath, Buffer.from(db.export()));
+      db.close();
+    },
+  };
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function dedupeColumnNames(header) {
+  const seen = new Map();
+  return header.map((cell, idx) => {
+    const base = String(cell === undefined || cell === null ? '' : cell).trim() || `Column ${idx + 1}`;
+    const key = base.toLowerCase();
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+function readValue(value) {
+  return value === null || value === undefined ? '' : value;
+}
+
+function writeValue(value) {
+  return value === undefined || value === null ? '' : value;
+}
+
+module.exports = { createSqliteSink };
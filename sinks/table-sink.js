@@ -0,0 +1,47 @@
+const { planUpsert } = require('../row-utils');
+
+/**
+ * Build a sink from a store that can only read and rewrite a whole tab.
+ * Upserts follow the Google Sheets sink: rows in the target date/clinic
+ * scope are updated, removed or added by key and everything else is kept
+ * as it was.
+ */
+function createTableSink({ name, label, readTable, writeTable, close = async () => {} }) {
+  async function upsertRows(tabName, rows, scope) {
+    const existingValues = await readTable(tabName);
+    const plan = planUpsert(existingValues, rows, scope);
+
+    if (plan.isNewTab) {
+      await writeTable(tabName, [plan.header, ...plan.additions]);
+      return plan;
+    }
+
+    if (!plan.headerChanged && !plan.updates.length && !plan.removals.length && !plan.additions.length) {
+      return plan;
+    }
+
+    const nextValues = existingValues.map((row) => [...row]);
+    nextValues[0] = plan.header;
+    plan.updates.forEach(({ index, row }) => {
+      nextValues[index] = row;
+    });
+    const removedIndices = new Set(plan.removals.map(({ index }) => index));
+
+    await writeTable(tabName, [
+      ...nextValues.filter((_, index) => !removedIndices.has(index)),
+      ...plan.additions,
+    ]);
+    return plan;
+  }
+
+  return {
+    name,
+    label,
+    readRows: readTable,
+    upsertRows,
+    ensureDateColumnFormat: async () => {},
+    close,
+  };
+}
+
+module.exports = { createTableSink };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { createTableSink } = require('./table-sink');
+
+/** One worksheet per tab in a single .xlsx workbook, saved on close. */
+async function createXlsxSink({ filePath }) {
+  const workbookPath = path.resolve(filePath);
+  const workbook = new ExcelJS.Workbook();
+  if (fs.existsSync(workbookPath)) {
+    await workbook.xlsx.readFile(workbookPath);
+  }
+
+  async function readTable(tabName) {
+    const worksheet = workbook.getWorksheet(tabName);
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow((row) => {
+      const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+      rows.push(Array.from(values, readCellValue));
+    });
+    return rows;
+  }
+
+  async function writeTable(tabName, rows) {
+    // Rebuild the worksheet in place: exceljs cannot splice away every row of a sheet.
+    const existing = workbook.getWorksheet(tabName);
+    if (existing) {
+      workbook.removeWorksheet(existing.id);
+    }
+    const worksheet = workbook.addWorksheet(tabName);
+    if (existing) {
+      worksheet.orderNo = existing.orderNo;
+    }
+    worksheet.addRows(rows);
+  }
+
+  return createTableSink({
+    name: 'xlsx',
+    label: `XLSX workbook ${workbookPath}`,
+    readTable,
+    writeTable,
+    close: async () => {
+      fs.mkdirSync(path.dirname(workbookPath), { recursive: true });
+      await workbook.xlsx.writeFile(workbookPath);
+    },
+  });
+}
+
+function readCellValue(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return readCellValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+  }
+  return value;
+}
+
+module.exports = { createXlsxSink };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./data-store');
+
+const SNAPSHOT_DIR = dataPath('snapshots');
+
+/**
+ * A snapshot holds, per tab, the rows its date/clinic held before a sync:
+ *
+ *   { id, createdAt, sink, clinic, reportPeriod, user, rolledBackAt, rolledBackBy,
+ *     tabs: [{ tabName, targetDate, targetClinic, header, previousRows }] }
+ *
+ * Tabs are recorded even when they held no rows, so a rollback knows to
+ * clear what the sync added there.
+ */
+function createSnapshot({ id, sink, clinic, reportPeriod, user = null }) {
+  return {
+    id: id || `snapshot-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    createdAt: new Date().toISOString(),
+    sink,
+    clinic,
+    reportPeriod,
+    user,
+    rolledBackAt: null,
+    rolledBackBy: null,
+    tabs: [],
+  };
+}
+
+function isValidSnapshotId(id) {
+  return /^[A-Za-z0-9_-]+$/.test(id || '');
+}
+
+function snapshotPath(id) {
+  if (!isValidSnapshotId(id)) {
+    throw new Error(`Invalid snapshot id "${id}".`);
+  }
+  return path.join(SNAPSHOT_DIR, `${id}.json`);
+}
+
+async function saveSnapshot(snapshot) {
+  await writeJsonFile(snapshotPath(snapshot.id), snapshot);
+  return snapshot;
+}
+
+async function loadSnapshot(id) {
+  return readJsonFile(snapshotPath(id));
+}
+
+/** Snapshots newest first, optionally limited to one sink/clinic/date. */
+async function listSnapshots({ sink, clinic, targetDate } = {}) {
+  let files = [];
+  try {
+    files = await fs.promises.readdir(SNAPSHOT_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJsonFile(path.join(SNAPSHOT_DIR, file))),
+  );
+
+  return snapshots
+    .filter(Boolean)
+    .filter((snapshot) => !sink || snapshot.sink === sink)
+    .filter((snapshot) => !clinic || snapshot.clinic === clinic)
+    .filter((snapshot) => !targetDate || snapshot.tabs.some((tab) => tab.targetDate === targetDate))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  createSnapshot,
+  isValidSnapshotId,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+};
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const ExcelJS = require('exceljs');
+const { extractRows, normalizeRows, normalizeReport, trimRow, csvEscape } = require('./html-to-csv');
+const { classifyDataset } = require('./dataset-schemas');
+const { detectEncoding, readTextFile, stripBidiMarks } = require('./text-encoding');
+const { saveReportTotals } = require('./report-totals');
+
+// Enough of the file to recognise its format.
+const SNIFF_BYTES = 4096;
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+// The HTML sheet has no name of its own.
+const HTML_SHEET = 'Sheet1';
+
+/**
+ * What a report file really is, whatever its extension says: 'xlsx',
+ * 'spreadsheetml' (Excel 2003 XML), 'html' or 'csv'. The HIS ".xls" exports
+ * are HTML or SpreadsheetML. Binary Excel 97-2003 workbooks are rejected.
+ */
+async function detectReportFormat(filePath, { label = path.basename(filePath) } = {}) {
+  const head = await readHead(filePath);
+  if (head.subarray(0, 4).equals(ZIP_SIGNATURE)) return 'xlsx';
+  if (head.subarray(0, 4).equals(OLE_SIGNATURE)) {
+    throw new Error(
+      `${label} is a binary Excel 97-2003 workbook, which cannot be read. Save it as .xlsx (or CSV) and upload it again.`,
+    );
+  }
+
+  const text = new TextDecoder(detectEncoding(head, { markup: true })).decode(head).trimStart().toLowerCase();
+  // SpreadsheetML has <Table> too, so look for its <Workbook> first. (Excel's
+  // HTML export only has <x:ExcelWorkbook>, which does not match.)
+  if (/<(\w+:)?workbook[\s>]/.test(text)) return 'spreadsheetml';
+  if (text.startsWith('<') || /<(html|body|table)[\s>]/.test(text)) return 'html';
+  return 'csv';
+}
+
+/**
+ * Raw rows of one worksheet, laid out like extractRows() lays out an HTML
+ * table: merged cells repeat down (rowspan) but not across (colspan), blank
+ * cells keep their column, and blank rows are dropped. Without `sheet`, the
+ * first worksheet that looks like a `dataset` report is read, else the first
+ * that looks like any report, else the first with rows.
+ *
+ * Resolves to { format, sheets, sheet, rows }; `sheets` lists every
+ * worksheet name so callers can offer a choice. `label` names the file in
+ * error messages (uploads are stored under generated names).
+ */
+async function readReportSheet(filePath, { sheet = null, dataset = null, label = path.basename(filePath) } = {}) {
+  const format = await detectReportFormat(filePath, { label });
+  let worksheets;
+  if (format === 'xlsx') {
+    worksheets = await readXlsxSheets(filePath, label);
+  } else if (format === 'spreadsheetml') {
+    worksheets = readSpreadsheetMlSheets((await readTextFile(filePath, { markup: true })).text);
+  } else if (format === 'html') {
+    worksheets = [{ name: HTML_SHEET, rows: extractRows((await readTextFile(filePath, { markup: true })).text) }];
+  } else {
+    throw new Error(`${label} is a CSV file, not a workbook.`);
+  }
+
+  const sheets = worksheets.map(({ name }) => name);
+  const chosen = sheet ? worksheets.find(({ name }) => name === sheet) : pickReportSheet(worksheets, dataset);
+  if (!chosen) {
+    throw new Error(
+      sheet
+        ? `${label} has no worksheet named "${sheet}". Worksheets: ${sheets.join(', ')}.`
+        : `${label} has no worksheets.`,
+    );
+  }
+  return { format, sheets, sheet: chosen.name, rows: chosen.rows };
+}
+
+/**
+ * Turn an uploaded report into a CSV syncReports() can load. CSV files are
+ * used as they are; HTML and workbooks get the same normalization
+ * (report profiles, totals rows dropped) as convertHtmlToCsv(). The CSV is
+ * written next to the source, with the dropped totals beside it (see
+ * saveReportTotals()).
+ *
+ * Resolves to { file, format, sheets, sheet } (`sheets` is empty for CSV).
+ */
+async function convertReportToCsv(filePath, { sheet = null, dataset = null, label = path.basename(filePath) } = {}) {
+  const format = await detectReportFormat(filePath, { label });
+  if (format === 'csv') {
+    return { file: filePath, format, sheets: [], sheet: null };
+  }
+
+  const result = await readReportSheet(filePath, { sheet, dataset, label });
+  const { rows: normalized, totals } = normalizeReport(result.rows);
+  if (!normalized.length) {
+    const where = result.sheets.length > 1 ? `worksheet "${result.sheet}" of ` : '';
+    throw new Error(`No table rows found in ${where}${label}.`);
+  }
+
+  const base = path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+  const outputPath = path.extname(filePath).toLowerCase() === '.csv' ? `${base}-converted.csv` : `${base}.csv`;
+  await fs.promises.writeFile(outputPath, normalized.map((row) => row.map(csvEscape).join(',')).join('\n'));
+  saveReportTotals(outputPath, totals);
+  return { file: outputPath, format: result.format, sheets: result.sheets, sheet: result.sheet };
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function pickReportSheet(worksheets, dataset) {
+  const candidates = worksheets
+    .filter(({ rows }) => rows.length)
+    .map((worksheet) => {
+      const normalized = normalizeRows(worksheet.rows);
+      return { worksheet, dataset: normalized.length ? classifyDataset(normalized[0]) : null };
+    });
+  const match =
+    candidates.find((candidate) => dataset && candidate.dataset === dataset) ||
+    candidates.find((candidate) => candidate.dataset) ||
+    candidates[0];
+  return match ? match.worksheet : worksheets[0];
+}
+
+async function readXlsxSheets(filePath, label) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw new Error(`${label} could not be read as an .xlsx workbook: ${error.message}`);
+  }
+
+  return workbook.worksheets
+    .filter((worksheet) => worksheet.state !== 'veryHidden')
+    .map((worksheet) => {
+      const rows = [];
+      for (let r = 1; r <= worksheet.rowCount; r += 1) {
+        const row = worksheet.getRow(r);
+        const cells = [];
+        const storedCells = row.cellCount;
+        let width = 0;
+        for (let c = 1; c <= worksheet.columnCount; c += 1) {
+          const cell = row.getCell(c);
+          // Merged areas: the value repeats down the first column only, as rowspan does in HTML.
+          const source = cell.isMerged && cell.master !== cell ? cell.master : cell;
+          cells.push(source === cell || source.col === cell.col ? cellText(source.value) : '');
+          // Blank cells the sheet stores keep the row's width; merged-across ones do not.
+          if (c <= storedCells && (source === cell || source.col === cell.col)) width = c;
+        }
+        const gridRow = trimRow(cells, width);
+        if (gridRow) rows.push(gridRow);
+      }
+      return { name: worksheet.name, rows: dropLeadingBlankColumns(rows) };
+    });
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return cleanText(value.richText.map((part) => part.text).join(''));
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    if ('error' in value) return String(value.error);
+    return '';
+  }
+  return cleanText(String(value));
+}
+
+/**
+ * Excel 2003 XML: <Workbook><Worksheet ss:Name><Table><Row><Cell><Data>.
+ * Rows and cells may skip ahead with ss:Index and span with ss:MergeAcross
+ * and ss:MergeDown.
+ */
+function readSpreadsheetMlSheets(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  const worksheets = [];
+  walkElements($.root().get(0), (node) => {
+    if (localName(node) !== 'worksheet') return true;
+    worksheets.push({
+      name: xmlAttribute(node, 'Name') || `Sheet${worksheets.length + 1}`,
+      rows: dropLeadingBlankColumns(spreadsheetMlRows(node)),
+    });
+    return false;
+  });
+  return worksheets;
+}
+
+function spreadsheetMlRows(worksheet) {
+  const rows = [];
+  const pendingSpans = [];
+  let rowIndex = 0;
+
+  const rowNodes = [];
+  walkElements(worksheet, (node) => {
+    if (localName(node) !== 'row') return true;
+    rowNodes.push(node);
+    return false;
+  });
+
+  rowNodes.forEach((rowNode) => {
+    const skipTo = parseInt(xmlAttribute(rowNode, 'Index'), 10);
+    for (rowIndex += 1; Number.isFinite(skipTo) && rowIndex < skipTo; rowIndex += 1) {
+      // Skipped rows are empty apart from values merged down into them.
+      emitSpannedRow(rows, pendingSpans, []);
+    }
+
+    const row = [];
+    let column = 0;
+    let width = 0;
+    elementChildren(rowNode)
+      .filter((node) => localName(node) === 'cell')
+      .forEach((cellNode) => {
+        const index = parseInt(xmlAttribute(cellNode, 'Index'), 10);
+        const target = Number.isFinite(index) ? Math.max(index - 1, column) : column;
+        // Columns skipped by ss:Index, or still covered by a MergeDown from above.
+        while (column < target || (pendingSpans[column] && pendingSpans[column].rowsLeft > 0)) {
+          const span = pendingSpans[column];
+          if (span && span.rowsLeft > 0) {
+            row[column] = span.text;
+            span.rowsLeft -= 1;
+          }
+          column += 1;
+        }
+
+        const dataNode = elementChildren(cellNode).find((node) => localName(node) === 'data');
+        const text = dataNode ? cleanText(nodeText(dataNode)) : '';
+        const across = Math.max(0, parseInt(xmlAttribute(cellNode, 'MergeAcross'), 10) || 0);
+        const down = Math.max(0, parseInt(xmlAttribute(cellNode, 'MergeDown'), 10) || 0);
+        width = column + 1;
+        for (let i = 0; i <= across; i += 1) {
+          const value = i === 0 ? text : '';
+          row[column + i] = value;
+          if (down) pendingSpans[column + i] = { text: value, rowsLeft: down };
+        }
+        column += across + 1;
+      });
+    emitSpannedRow(rows, pendingSpans, row, column, width);
+  });
+
+  return rows;
+}
+
+/**
+ * Fill columns still covered by MergeDown from earlier rows, then keep the
+ * row if it has values (its first `width` cells even when blank).
+ */
+function emitSpannedRow(rows, pendingSpans, row, from = 0, width = 0) {
+  for (let column = from; column < pendingSpans.length; column += 1) {
+    const span = pendingSpans[column];
+    if (span && span.rowsLeft > 0 && row[column] === undefined) {
+      row[column] = span.text;
+      span.rowsLeft -= 1;
+    }
+  }
+  const gridRow = trimRow(Array.from(row, (cell) => cell || ''), width);
+  if (gridRow) rows.push(gridRow);
+}
+
+/** Worksheet columns are absolute: drop the blank ones before the table (a report starting in column B). */
+function dropLeadingBlankColumns(rows) {
+  const offset = Math.min(...rows.map((row) => row.findIndex((cell) => cell !== '')));
+  return offset > 0 && Number.isFinite(offset) ? rows.map((row) => row.slice(offset)) : rows;
+}
+
+function walkElements(node, visit) {
+  elementChildren(node).forEach((child) => {
+    if (visit(child)) walkElements(child, visit);
+  });
+}
+
+function elementChildren(node) {
+  return (node.children || []).filter((child) => child.type === 'tag');
+}
+
+function localName(node) {
+  return node.name.replace(/^.*:/, '').toLowerCase();
+}
+
+/** ss:Name, Name or any other prefix: SpreadsheetML exports are not consistent. */
+function xmlAttribute(node, name) {
+  const attributes = node.attribs || {};
+  const key = Object.keys(attributes).find((attribute) => attribute.replace(/^.*:/, '') === name);
+  return key ? attributes[key] : undefined;
+}
+
+function nodeText(node) {
+  if (node.type === 'text') return node.data;
+  return (node.children || []).map(nodeText).join('');
+}
+
+function cleanText(value) {
+  return stripBidiMarks(value).replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  detectReportFormat,
+  readReportSheet,
+  convertReportToCsv,
+};
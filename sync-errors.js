@@ -0,0 +1,63 @@
+const { formatValidationReport } = require('./dataset-schemas');
+
+/**
+ * Errors syncReports() and rollbackSync() throw on purpose. `code` is stable,
+ * so callers can branch on it (or use instanceof) instead of parsing messages.
+ */
+class SyncError extends Error {
+  constructor(message, code = 'SYNC_FAILED') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/** One or more datasets failed their schema; `results` as from loadDatasets(), `details` as printed. */
+class ValidationError extends SyncError {
+  constructor(results) {
+    super('The uploaded reports did not pass validation. Nothing was synced.', 'VALIDATION_FAILED');
+    this.results = results;
+    this.details = formatValidationReport(results);
+  }
+}
+
+class NoDataError extends SyncError {
+  constructor(message = 'No CSV data available to push.') {
+    super(message, 'NO_DATA');
+  }
+}
+
+/** Another sync holds the lock for the same sink target; `holder` is its lock record. */
+class SyncInProgressError extends SyncError {
+  constructor(holder = {}) {
+    const subject = [holder.clinic, holder.reportPeriod].filter(Boolean).join(' ');
+    const since = holder.startedAt ? ` since ${holder.startedAt}` : '';
+    super(`Sync in progress${subject ? ` for ${subject}` : ''}${since}. Try again once it finishes.`, 'SYNC_IN_PROGRESS');
+    this.holder = holder;
+  }
+}
+
+/** Rows would be written with an Unknown doctor, department or clinic; `entities` lists them. */
+class UnresolvedEntitiesError extends SyncError {
+  constructor(entities = []) {
+    super(`${entities.length} doctor, department or clinic name(s) need to be mapped before syncing.`, 'UNRESOLVED_ENTITIES');
+    this.entities = entities;
+    this.details = entities.map((entity) => `${entity.label}: ${entity.rows} row(s)`).join('\n');
+  }
+}
+
+/** A snapshot is missing, already rolled back, or would discard a later sync. */
+class RollbackError extends SyncError {
+  constructor(message) {
+    super(message, 'ROLLBACK_REFUSED');
+  }
+}
+
+module.exports = {
+  SyncError,
+  ValidationError,
+  NoDataError,
+  SyncInProgressError,
+  UnresolvedEntitiesError,
+  RollbackError,
+};
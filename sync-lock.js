@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJsonFile } = require('./data-store');
+const { SyncInProgressError } = require('./sync-errors');
+
+const LOCK_DIR = dataPath('locks');
+// A holder that has not finished by then is treated as crashed.
+const STALE_LOCK_MS = 30 * 60 * 1000;
+
+/**
+ * Take the sync lock for a sink target (spreadsheet ID or output path).
+ * The lock is a file created with O_EXCL, so it also holds across separate
+ * CLI runs and the form-server process. Upserts rewrite rows by position
+ * (or the whole file for local sinks), which is why the lock covers the whole
+ * target rather than one clinic/period.
+ *
+ * `owner` ({ clinic, reportPeriod, ... }) is stored in the lock so a second
+ * caller can be told who is syncing. Resolves to a release() function; rejects
+ * with SyncInProgressError while another sync holds it.
+ *
+ * Each lock carries a random token. A stale lock, and the caller's own lock on
+ * release, is only removed after checking the token (see removeLock()), so a
+ * caller never deletes a lock someone else has just taken.
+ */
+async function acquireSyncLock(target, owner = {}) {
+  const lockPath = lockPathFor(target);
+  await fs.promises.mkdir(LOCK_DIR, { recursive: true });
+
+  const info = {
+    target,
+    token: crypto.randomUUID(),
+    pid: process.pid,
+    hostname: os.hostname(),
+    startedAt: new Date().toISOString(),
+    ...owner,
+  };
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    if (await createLockFile(lockPath, info)) {
+      return () => removeLock(lockPath, info.token);
+    }
+
+    const holder = await readJsonFile(lockPath, null).catch(() => null);
+    if (holder && !isStaleLock(holder)) {
+      throw new SyncInProgressError(holder);
+    }
+    // Crashed or unreadable holder: clear it (unless another caller already
+    // replaced it) and try once more.
+    await removeLock(lockPath, holder ? holder.token || null : null);
+  }
+
+  throw new SyncInProgressError(await readJsonFile(lockPath, {}).catch(() => ({})));
+}
+
+function lockPathFor(target) {
+  const digest = crypto.createHash('sha256').update(String(target)).digest('hex').slice(0, 16);
+  return path.join(LOCK_DIR, `${digest}.lock`);
+}
+
+function isStaleLock(holder) {
+  const startedAt = Date.parse(holder.startedAt);
+  if (!Number.isFinite(startedAt) || Date.now() - startedAt > STALE_LOCK_MS) return true;
+  if (holder.hostname !== os.hostname()) return false;
+
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Create the lock file with its content in one step: written to a temp file
+ * and hard-linked into place, which fails when the lock exists. Readers never
+ * see a half-written lock. Resolves to false when the lock is taken.
+ */
+async function createLockFile(lockPath, info) {
+  const tempPath = `${lockPath}.${info.token}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(info, null, 2));
+  try {
+    await fs.promises.link(tempPath, lockPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Remove the lock if it still carries `token` (null for a lock without one).
+ * The lock is first renamed to a tombstone, which only one caller can do;
+ * when the tombstone turns out to be another caller's lock it is linked back.
+ * Resolves to whether the lock was removed.
+ */
+async function removeLock(lockPath, token) {
+  const tombstone = `${lockPath}.${crypto.randomUUID()}.removed`;
+  try {
+    await fs.promises.rename(lockPath, tombstone);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+
+  try {
+    const holder = await readJsonFile(tombstone, null).catch(() => null);
+    if (((holder && holder.token) || null) === token) return true;
+
+    await fs.promises.link(tombstone, lockPath).catch((error) => {
+      // A newer lock took its place already; that one stands.
+      if (error.code !== 'EEXIST') throw error;
+    });
+    return false;
+  } finally {
+    await fs.promises.unlink(tombstone).catch(() => {});
+  }
+}
+
+module.exports = {
+  acquireSyncLock,
+};
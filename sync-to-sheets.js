@@ -1,15 +1,34 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { google } = require('googleapis');
+const { createSink, resolveSinkTarget } = require('./sinks');
+const { findColumnIndex, normalizePeriod, planUpsert, resolveReplaceTarget, buildScopeMatcher } = require('./row-utils');
+const { classifyDataset, validateDataset } = require('./dataset-schemas');
+const { readCsvFile } = require('./csv-reader');
+const { parseNumber } = require('./number-parsing');
+const { readReportTotals, reconcileReportTotals } = require('./report-totals');
+const { buildSummaryRows } = require('./clinic-summary');
+const { detectAnomalies, buildAnomalyRows } = require('./anomaly-detection');
+const { createSnapshot, saveSnapshot, loadSnapshot, listSnapshots } = require('./snapshots');
+const { acquireSyncLock } = require('./sync-lock');
+const { getClinicSettings, listClinicNames } = require('./clinic-config');
+const { loadDoctorRegistry, resolveDoctorName, resolveDoctorDepartment, recordDoctorSightings } = require('./doctor-registry');
+const { loadDepartmentTaxonomy, matchDepartment } = require('./department-taxonomy');
+const { loadEntityMappings, applyEntityMappings, resolveClinicName, mergeUnresolved } = require('./entity-mappings');
+const {
+  ValidationError,
+  NoDataError,
+  SyncInProgressError,
+  UnresolvedEntitiesError,
+  RollbackError,
+} = require('./sync-errors');
 
-const SPREADSHEET_NAME = 'Dallah Clinics';
-const DEFAULT_SPREADSHEET_ID = '10Bhfqts3cyyjy7VP0ENA08wNdwlLRGZ9JK4QaHJ2egU';
-const BASE_REVENUE_TAB = 'Revenue';
-const BASE_DEPARTMENT_TAB = 'Department Wise';
-const OTHER_TAB = 'Other';
 const UNKNOWN_LABEL = 'Unknown';
+// CLI exit codes, so wrapper scripts can tell validation failures and busy targets from other errors.
+const VALIDATION_EXIT_CODE = 2;
+const LOCKED_EXIT_CODE = 3;
 
 async function main() {
   const {
@@ -20,12 +39,21 @@ async function main() {
     administrativeComplaints,
     referrals,
     remarks,
+    dryRun,
+    jsonOutput,
+    sinkName,
+    sinkOutput,
+    snapshotId,
+    rollbackId,
+    force,
+    user,
   } = parseArgs(process.argv.slice(2));
+  const sink = { name: sinkName, output: sinkOutput };
 
-  const spreadsheetId = process.env.SPREADSHEET_ID || DEFAULT_SPREADSHEET_ID;
-  if (!spreadsheetId) {
-    console.error('Provide the target spreadsheet ID via SPREADSHEET_ID env or as the first CLI argument.');
-    process.exit(1);
+  if (rollbackId) {
+    const { target } = await rollbackSync({ snapshotId: rollbackId, sink, force, user });
+    console.log(`Rolled back snapshot ${rollbackId} in ${target}.`);
+    return;
   }
 
   const csvFiles = fileArgs.length ? fileArgs : discoverCsvFiles();
@@ -34,66 +62,456 @@ async function main() {
     process.exit(1);
   }
 
-  const { revenueRows, departmentRows } = loadDatasets(csvFiles);
+  const result = await syncReports({
+    files: csvFiles,
+    clinic: clinicName,
+    period: reportPeriod,
+    metrics: { medicalComplaints, administrativeComplaints, referrals, remarks },
+    sink,
+    dryRun,
+    snapshotId,
+    user,
+  });
+
+  if (dryRun) {
+    if (jsonOutput) {
+      console.log(JSON.stringify({
+        target: result.target,
+        tabs: result.plan,
+        reconciliation: result.reconciliation,
+        anomalies: result.anomalies,
+      }));
+    } else {
+      printSyncPlan(result.target, result.plan);
+      printReconciliation(result.reconciliation);
+      printAnomalies(result.anomalies);
+    }
+    return;
+  }
+
+  if (result.snapshotId) {
+    printRollbackHint(result.snapshotId);
+  }
+  console.log(`Finished syncing data to ${result.target}.`);
+  printReconciliation(result.reconciliation);
+  printAnomalies(result.anomalies);
+}
+
+/**
+ * Sync one clinic/period of reports into a sink. This is what the CLI runs;
+ * form-server and scripts call it directly. The Revenue, Department Wise and
+ * Other tabs are written first, then the clinic's Summary row is rebuilt
+ * from them (see buildSummaryPayload()) and the month's Anomalies rows are
+ * replaced (see buildAnomalyPayload()).
+ *
+ *   files      CSV paths, or { file, dataset } when the dataset is known
+ *   datasets   parsed rows (header first) instead of files:
+ *              { revenue, department }
+ *   clinic, period
+ *   metrics    { medicalComplaints, administrativeComplaints, referrals,
+ *              remarks } for the Other tab
+ *   sink       { name, output, spreadsheetId }; missing fields fall back to SINK,
+ *              SINK_OUTPUT and SPREADSHEET_ID, then to Google Sheets and the
+ *              clinic's spreadsheet from clinics.config.json
+ *   dryRun     read the sink and plan without writing
+ *   snapshotId id for the rollback snapshot (generated when omitted)
+ *   user       who is syncing; kept on the snapshot and the lock
+ *   requireResolved
+ *              throw UnresolvedEntitiesError instead of writing Unknown (or
+ *              off-taxonomy) doctors, departments or clinics; see
+ *              entity-mappings.js
+ *   onStage    called with 'validating', 'updating rows' and 'formatting' as
+ *              the sync moves on
+ *
+ * Resolves to { target, dryRun, snapshotId, warnings, unresolved,
+ * reconciliation, anomalies, tabs: [{ tabName, targetDate, targetClinic,
+ * rows, added, updated, removed, replaced, unchanged }] }; a dry run also
+ * carries the per-row `plan` from planSync(). `snapshotId` undoes the sync
+ * with rollbackSync(); a sync that fails after changing rows sets it on the
+ * error instead. `reconciliation` checks each converted report against its
+ * own totals rows (see loadDatasets()) and `anomalies` compares the month
+ * with the clinic's earlier months (see anomaly-detection.js); neither stops
+ * the sync. Throws ValidationError, NoDataError, UnresolvedEntitiesError or
+ * SyncInProgressError from sync-errors.js.
+ */
+async function syncReports({
+  files = [],
+  datasets = null,
+  clinic: requestedClinic = '',
+  period = '',
+  metrics = {},
+  sink: sinkConfig = {},
+  dryRun = false,
+  snapshotId = '',
+  user = null,
+  requireResolved = false,
+  onStage = () => {},
+} = {}) {
+  const entityMappings = await loadEntityMappings();
+  const { clinic, unresolved: unresolvedClinic } = resolveClinicName(requestedClinic, {
+    mappings: entityMappings,
+    clinicNames: listClinicNames(),
+  });
+  const settings = getClinicSettings(clinic);
+  const { name: sinkName, ...sinkOptions } = resolveSinkConfig(sinkConfig, settings);
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    console.warn(message);
+  };
+
+  await onStage('validating');
+  const entries = datasets
+    ? Object.entries(datasets)
+      .filter(([, rows]) => rows && rows.length)
+      .map(([dataset, rows]) => ({ file: `${dataset} rows`, dataset, rows }))
+    : files;
+  const { revenueRows, departmentRows, validationResults, reconciliation } = await loadDatasets(entries);
+  const metricProblems = validateOtherMetrics(metrics);
+  if (metricProblems.length) {
+    validationResults.push({ file: 'Other metrics', dataset: null, messages: metricProblems });
+  }
+  if (validationResults.some((result) => result.messages.length)) {
+    throw new ValidationError(validationResults);
+  }
+
   if (!revenueRows.length && !departmentRows.length) {
-    console.error('No CSV data available to push.');
-    process.exit(1);
+    throw new NoDataError();
   }
 
-  const auth = await createServiceAccountAuth();
-  const sheets = google.sheets({ version: 'v4', auth });
+  const doctorRegistry = await loadDoctorRegistry();
+  const {
+    formattedRevenueRows,
+    formattedDepartmentRows,
+    doctorNames,
+    doctorDepartments,
+    unresolvedEntities,
+  } = prepareTabRows(
+    revenueRows,
+    departmentRows,
+    { clinicName: clinic, reportPeriod: period, slot: settings.slot, doctorRegistry, entityMappings },
+  );
+  if (unresolvedClinic) {
+    unresolvedClinic.rows = Math.max(revenueRows.length - 1, 0) + Math.max(departmentRows.length - 1, 0);
+  }
+  const unresolved = mergeUnresolved(unresolvedClinic, unresolvedEntities);
+  if (unresolved.length) {
+    if (requireResolved && !dryRun) {
+      throw new UnresolvedEntitiesError(unresolved);
+    }
+    // Listed in the result's `unresolved`, so only logged here.
+    console.warn(`Not resolved, written as Unknown or as reported: ${unresolved.map((entity) => entity.label).join('; ')}. Map them on the form-server review screen.`);
+  }
+  const otherRows = buildOtherMetricsRows({ clinicName: clinic, reportPeriod: period, ...metrics });
+  const tabPayloads = [
+    { key: 'revenue', tabName: settings.tabs.revenue, rows: formattedRevenueRows, missing: 'No revenue data detected in the provided CSV files.' },
+    { key: 'department', tabName: settings.tabs.department, rows: formattedDepartmentRows, missing: 'No department data detected in the provided CSV files.' },
+    { key: 'other', tabName: settings.tabs.other, rows: otherRows },
+  ];
+  const summaryOptions = { clinic, period, slot: settings.slot, tabName: settings.tabs.summary };
+  const anomalyOptions = { clinic, period, thresholds: settings.anomalies, tabName: settings.tabs.anomalies };
+
+  if (dryRun) {
+    const sink = await createSink(sinkName, sinkOptions);
+    const anomalyPayload = await buildAnomalyPayload(sink, tabPayloads, anomalyOptions);
+    const plan = await planSync(sink, [
+      ...tabPayloads,
+      await buildSummaryPayload(sink, tabPayloads, summaryOptions),
+      anomalyPayload,
+    ]);
+    return {
+      target: sink.label,
+      dryRun: true,
+      snapshotId: null,
+      warnings,
+      unresolved,
+      reconciliation,
+      anomalies: anomalyPayload.anomalies,
+      tabs: plan.map((tab) => summarizeTab(tab, {
+        rows: tab.incomingRows.length,
+        added: tab.additions.length,
+        updated: tab.updates.length,
+        removed: tab.removals.length,
+        unchanged: tab.unchanged,
+      })),
+      plan,
+    };
+  }
+
+  await onStage('updating rows');
+  return withSyncLock(sinkName, sinkOptions, { clinic, reportPeriod: period, user }, async () => {
+    // Opened under the lock: local sinks load their file when created.
+    const sink = await createSink(sinkName, sinkOptions);
+    const snapshot = createSnapshot({ id: snapshotId, sink: sinkName, clinic, reportPeriod: period, user });
+    const tabs = [];
+    // Read before this month is written; only earlier months are compared.
+    const anomalyPayload = await buildAnomalyPayload(sink, tabPayloads, anomalyOptions);
+
+    try {
+      for (const { tabName, rows, missing } of tabPayloads) {
+        if (!rows.length) {
+          if (missing) warn(missing);
+          continue;
+        }
+        tabs.push(await pushToSheet(sink, tabName, rows, snapshot));
+      }
+      // Built after the other tabs are written: a report not in this upload is taken from the sink.
+      const summaryPayload = await buildSummaryPayload(sink, tabPayloads, summaryOptions);
+      if (summaryPayload.rows.length) {
+        tabs.push(await pushToSheet(sink, summaryPayload.tabName, summaryPayload.rows, snapshot));
+      }
+      if (anomalyPayload.rows.length) {
+        // Written even when nothing was flagged, to clear the month's earlier flags.
+        tabs.push(await pushToSheet(sink, anomalyPayload.tabName, anomalyPayload.rows, snapshot, anomalyPayload.scope));
+      }
+      await recordDoctors(doctorNames, { clinic, period, departments: doctorDepartments }, warn);
 
-  const revenueTab = BASE_REVENUE_TAB;
-  const departmentTab = BASE_DEPARTMENT_TAB;
+      await onStage('formatting');
+      for (const { tabName, rows } of [...tabPayloads, summaryPayload, anomalyPayload]) {
+        if (rows.length) {
+          await sink.ensureDateColumnFormat(tabName, rows[0]);
+        }
+      }
+      await sink.close();
+    } catch (error) {
+      // Rows may already have been changed; tell the caller which snapshot undoes them.
+      if (snapshot.tabs.length) error.snapshotId = snapshot.id;
+      throw error;
+    } finally {
+      // Save even after a failure: rows may already have been changed in the tab.
+      if (snapshot.tabs.length) {
+        await saveSnapshot(snapshot);
+      }
+    }
+
+    return {
+      target: sink.label,
+      dryRun: false,
+      snapshotId: snapshot.tabs.length ? snapshot.id : null,
+      warnings,
+      unresolved,
+      reconciliation,
+      anomalies: anomalyPayload.anomalies,
+      tabs,
+    };
+  });
+}
+
+/**
+ * Undo a sync by snapshot id. `sink` is as for syncReports() and must be the
+ * sink the snapshot was taken from. Resolves to { target, snapshotId, tabs }
+ * with the same tab summaries; throws RollbackError when the snapshot cannot
+ * be restored and SyncInProgressError while the target is busy.
+ */
+async function rollbackSync({ snapshotId, sink: sinkConfig = {}, force = false, user = null } = {}) {
+  // The snapshot's clinic picks the default spreadsheet; a missing snapshot is reported under the lock.
+  const snapshot = await loadSnapshot(snapshotId).catch(() => null);
+  const settings = getClinicSettings(snapshot ? snapshot.clinic : '');
+  const { name: sinkName, ...sinkOptions } = resolveSinkConfig(sinkConfig, settings);
+
+  return withSyncLock(sinkName, sinkOptions, { rollback: snapshotId, user }, async () => {
+    const sink = await createSink(sinkName, sinkOptions);
+    const tabs = await rollbackSnapshot(sink, sinkName, snapshotId, { force, user });
+    await sink.close();
+    return { target: sink.label, snapshotId, tabs };
+  });
+}
+
+/**
+ * Rows a sink holds for one clinic and period (YYYY-MM or YYYY-MM-DD).
+ * Resolves to { target, clinic, period, tabs: [{ tabName, header, rows }] };
+ * tabs without a Date column, or missing from the sink, come back empty.
+ */
+async function readReports({ clinic = '', period, sink: sinkConfig = {} } = {}) {
+  const settings = getClinicSettings(clinic);
+  const { name: sinkName, ...sinkOptions } = resolveSinkConfig(sinkConfig, settings);
+  const sink = await createSink(sinkName, sinkOptions);
+  const tabs = [];
+
+  for (const tabName of [
+    settings.tabs.revenue,
+    settings.tabs.department,
+    settings.tabs.other,
+    settings.tabs.summary,
+    settings.tabs.anomalies,
+  ]) {
+    const [header = [], ...rows] = await sink.readRows(tabName);
+    const inScope = buildScopeMatcher(header, period, clinic || null);
+    tabs.push({ tabName, header, rows: inScope ? rows.filter(inScope) : [] });
+  }
+
+  return { target: sink.label, clinic, period: normalizePeriod(period), tabs };
+}
+
+function resolveSinkConfig({ name, output, spreadsheetId } = {}, settings = getClinicSettings('')) {
+  return {
+    name: (name || process.env.SINK || 'sheets').trim().toLowerCase(),
+    output: output || process.env.SINK_OUTPUT || undefined,
+    spreadsheetId: spreadsheetId || process.env.SPREADSHEET_ID || settings.spreadsheetId,
+  };
+}
 
+function summarizeTab({ tabName, targetDate, targetClinic }, { rows, added, updated, removed, unchanged }) {
+  return {
+    tabName,
+    targetDate: targetDate ? normalizePeriod(targetDate) : null,
+    targetClinic: targetClinic || null,
+    rows,
+    added,
+    updated,
+    removed,
+    replaced: updated + removed,
+    unchanged,
+  };
+}
+
+/**
+ * Hold the sync lock for the sink's target while `task` runs, so a second
+ * writer fails with SyncInProgressError instead of interleaving with ours.
+ */
+async function withSyncLock(sinkName, sinkOptions, owner, task) {
+  const release = await acquireSyncLock(resolveSinkTarget(sinkName, sinkOptions), owner);
+  try {
+    return await task();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Undo a sync: upsert the rows its date/clinic held beforehand, which drops
+ * what it added and reverts what it updated or removed. Refuses when a later
+ * sync for the same clinic/date has not been rolled back, since restoring
+ * would silently discard it.
+ */
+async function rollbackSnapshot(sink, sinkName, id, { force = false, user = null } = {}) {
+  const snapshot = await loadSnapshot(id);
+  if (!snapshot) {
+    throw new RollbackError(`Snapshot "${id}" not found.`);
+  }
+  if (snapshot.rolledBackAt) {
+    throw new RollbackError(`Snapshot "${id}" was already rolled back at ${snapshot.rolledBackAt}.`);
+  }
+  if (snapshot.sink !== sinkName) {
+    throw new RollbackError(`Snapshot "${id}" was taken from the "${snapshot.sink}" sink. Rerun with --sink ${snapshot.sink}.`);
+  }
+
+  if (!force) {
+    // Any later sync that wrote one of this snapshot's tab/date/clinic scopes.
+    const overlaps = (entry) => entry.tabs.some((other) => snapshot.tabs.some((tab) => sameTabScope(tab, other)));
+    const newer = (await listSnapshots({ sink: snapshot.sink, clinic: snapshot.clinic }))
+      .filter((entry) => entry.id !== snapshot.id && !entry.rolledBackAt && entry.createdAt > snapshot.createdAt)
+      .filter(overlaps);
+    if (newer.length) {
+      throw new RollbackError(`Snapshot "${newer[0].id}" replaced the same clinic/period later. Roll it back first or pass --force.`);
+    }
+  }
+
+  const tabs = [];
+  for (const tab of snapshot.tabs) {
+    // Snapshots written before upserts kept the replaced rows under `removedRows`.
+    const previousRows = tab.previousRows || tab.removedRows || [];
+    const plan = await sink.upsertRows(tab.tabName, [tab.header, ...previousRows], {
+      targetDate: tab.targetDate,
+      targetClinic: tab.targetClinic,
+    });
+    logUpsertResult(tab.tabName, [tab.targetDate, tab.targetClinic].filter(Boolean).join(' / '), plan);
+    tabs.push(summarizeUpsert(tab.tabName, tab, previousRows.length, plan));
+  }
+
+  await saveSnapshot({ ...snapshot, rolledBackAt: new Date().toISOString(), rolledBackBy: user });
+  return tabs;
+}
+
+function sameTabScope(a, b) {
+  return a.tabName === b.tabName && (a.targetDate || null) === (b.targetDate || null) && (a.targetClinic || null) === (b.targetClinic || null);
+}
+
+/**
+ * Registry failures are logged, never surfaced: the rows are already pushed.
+ * New IDs and conflicting names only need a reviewer's attention.
+ */
+async function recordDoctors(doctorNames, { clinic, period, departments }, warn) {
+  try {
+    const { added, conflicts } = await recordDoctorSightings(doctorNames, { clinic, period, departments });
+    if (added || conflicts) {
+      warn(`Doctor registry: ${added} new doctor ID(s) and ${conflicts} conflicting name(s) are waiting for review.`);
+    }
+  } catch (error) {
+    console.warn(`Unable to update the doctor registry: ${error.message}`);
+  }
+}
+
+/**
+ * Add Date, Clinic, Common Doctor/Department Name and Slot columns. Common
+ * Doctor Name comes from `doctorRegistry` (see doctor-registry.js) when it
+ * knows the ID, else from the names in this batch. Common Department Name is
+ * the row's department matched against the taxonomy (department-taxonomy.js);
+ * rows without one take the doctor's department from the department report,
+ * then from the registry. What is still Unknown or off-taxonomy is filled
+ * from `entityMappings` (entity-mappings.js) where the user mapped it before.
+ *
+ * Also returns `doctorNames` (doctor ID -> name the reports used),
+ * `doctorDepartments` (doctor ID -> Common Department Name) and the
+ * `unresolvedEntities` no mapping covered.
+ */
+function prepareTabRows(revenueRows, departmentRows, {
+  clinicName,
+  reportPeriod,
+  slot = getClinicSettings(clinicName).slot,
+  doctorRegistry = null,
+  departmentTaxonomy = loadDepartmentTaxonomy(),
+  entityMappings = null,
+}) {
   const datedRevenueRows = applyClinicColumn(applyDateColumn(revenueRows, reportPeriod), clinicName);
   const datedDepartmentRows = applyClinicColumn(applyDateColumn(departmentRows, reportPeriod), clinicName);
 
   const doctorNameMap = buildDoctorNameMap(datedRevenueRows, datedDepartmentRows);
-  const revenueWithCommonDoctor = addCommonDoctorNameColumn(datedRevenueRows, doctorNameMap);
-  const departmentWithCommonDoctor = addCommonDoctorNameColumn(datedDepartmentRows, doctorNameMap);
+  const revenueWithCommonDoctor = addCommonDoctorNameColumn(datedRevenueRows, doctorNameMap, doctorRegistry);
+  const departmentWithCommonDoctor = addCommonDoctorNameColumn(datedDepartmentRows, doctorNameMap, doctorRegistry);
+
+  const resolveDepartment = (rawName, rawId, clinic) => {
+    const departmentName = normalizeDepartmentName(rawName);
+    const label = departmentName === UNKNOWN_LABEL ? '' : departmentName;
+    const match = matchDepartment(departmentTaxonomy, { name: label, id: normalizeDoctorId(rawId), clinic });
+    return match ? match.name : departmentName;
+  };
+  const departmentOptions = { resolveDepartment, doctorRegistry };
 
-  const departmentNameMap = buildDepartmentNameMap(departmentWithCommonDoctor);
-  const revenueWithCommonDept = addCommonDepartmentNameColumn(revenueWithCommonDoctor, departmentNameMap);
-  const departmentWithCommonDept = addCommonDepartmentNameColumn(departmentWithCommonDoctor, departmentNameMap);
+  const departmentNameMap = buildDepartmentNameMap(departmentWithCommonDoctor, resolveDepartment);
+  const revenueWithCommonDept = addCommonDepartmentNameColumn(revenueWithCommonDoctor, departmentNameMap, departmentOptions);
+  const departmentWithCommonDept = addCommonDepartmentNameColumn(departmentWithCommonDoctor, departmentNameMap, departmentOptions);
+
+  const doctorDepartments = new Map();
+  doctorNameMap.forEach((_, doctorId) => {
+    const department = clinicName && departmentNameMap.get(buildClinicDoctorKey(clinicName, doctorId));
+    if (department && departmentTaxonomy.names.includes(department)) doctorDepartments.set(doctorId, department);
+  });
 
   const normalizedRevenueRows = ensureColumnsHaveValues(revenueWithCommonDept, ['doctor name', 'common doctor name', 'common department name']);
-  const departmentWithSlot = addConstantColumn(departmentWithCommonDept, 'Slot', 832);
+  const departmentWithSlot = addConstantColumn(departmentWithCommonDept, 'Slot', slot);
   const normalizedDepartmentRows = ensureColumnsHaveValues(departmentWithSlot, ['department name', 'doctor name', 'common doctor name', 'common department name']);
 
+  const reviewOptions = { mappings: entityMappings, departmentNames: departmentTaxonomy.names };
+  const revenueReview = applyEntityMappings(normalizedRevenueRows, { ...reviewOptions, dataset: 'revenue' });
+  const departmentReview = applyEntityMappings(normalizedDepartmentRows, { ...reviewOptions, dataset: 'department' });
+
   const formattedRevenueRows = formatNumericColumns(
-    normalizedRevenueRows,
+    revenueReview.rows,
     new Set(['date', 'doctor id', 'doctor name', 'department id', 'department name'])
   );
   const formattedDepartmentRows = formatNumericColumns(
-    normalizedDepartmentRows,
+    departmentReview.rows,
     new Set(['date', 'doctor id', 'doctor name', 'department id', 'department name'])
   );
 
-if (formattedRevenueRows.length) {
-  await pushToSheet(sheets, spreadsheetId, revenueTab, formattedRevenueRows);
-  await ensureDateColumnFormat(sheets, spreadsheetId, revenueTab, formattedRevenueRows[0]);
-} else {
-  console.warn('No revenue data detected in the provided CSV files.');
-}
-
-if (formattedDepartmentRows.length) {
-  await pushToSheet(sheets, spreadsheetId, departmentTab, formattedDepartmentRows);
-  await ensureDateColumnFormat(sheets, spreadsheetId, departmentTab, formattedDepartmentRows[0]);
-} else {
-  console.warn('No department data detected in the provided CSV files.');
-}
-
-  await appendOtherMetricsRow(sheets, spreadsheetId, {
-    clinicName,
-    reportPeriod,
-    medicalComplaints,
-    administrativeComplaints,
-    referrals,
-    remarks,
-  });
-
-  console.log(`Finished syncing data to "${SPREADSHEET_NAME}" (${spreadsheetId}).`);
+  return {
+    formattedRevenueRows,
+    formattedDepartmentRows,
+    doctorNames: doctorNameMap,
+    doctorDepartments,
+    unresolvedEntities: mergeUnresolved(revenueReview.unresolved, departmentReview.unresolved),
+  };
 }
 
 function discoverCsvFiles() {
@@ -103,24 +521,54 @@ function discoverCsvFiles() {
     .map((file) => path.resolve(process.cwd(), file));
 }
 
-function loadDatasets(files) {
+/**
+ * Load CSV files into the revenue and department datasets. Each entry is a
+ * path (dataset guessed from the header) or `{ file, dataset }` when the
+ * caller knows which report it is; `{ file, dataset, rows }` skips reading
+ * and uses `file` only as a label. Files are read with readCsvFile(), so
+ * malformed rows are reported by line; every file is also validated against
+ * its schema. Callers must not sync when any result has messages.
+ *
+ * Files converted from HTML or workbooks keep the report's totals rows beside
+ * them (see report-totals.js); `reconciliation` lists, per such file,
+ * { file, dataset, checked, differences } from reconcileReportTotals().
+ */
+async function loadDatasets(files) {
   const revenueRows = [];
   const departmentRows = [];
+  const validationResults = [];
+  const reconciliation = [];
+
+  for (const entry of files) {
+    const { file, dataset: declaredDataset, rows: parsedRows } = typeof entry === 'string' ? { file: entry } : entry;
+    const { rows, errors } = parsedRows ? { rows: parsedRows, errors: [] } : await readCsvFile(file);
+    if (errors.length) {
+      // Malformed CSV: report where, and skip schema checks on rows that may be shifted.
+      validationResults.push({ file: path.basename(file), dataset: declaredDataset || null, messages: errors });
+      continue;
+    }
+    if (!rows.length) continue;
 
-  files.forEach((file) => {
-    const rows = parseCsv(file);
-    if (!rows.length) return;
+    const dataset = declaredDataset || classifyDataset(rows[0]);
+    validationResults.push({
+      file: path.basename(file),
+      dataset,
+      messages: validateDataset(rows, dataset),
+    });
 
-    const header = rows[0].map((cell) => cell.trim().toLowerCase());
-    const isDepartmentData = header.includes('department id');
-    if (isDepartmentData) {
+    if (dataset === 'department') {
       appendDataset(departmentRows, rows);
-    } else {
+    } else if (dataset === 'revenue') {
       appendDataset(revenueRows, rows);
     }
-  });
 
-  return { revenueRows, departmentRows };
+    const totals = parsedRows ? null : await readReportTotals(file);
+    if (totals) {
+      reconciliation.push({ file: path.basename(file), dataset, ...reconcileReportTotals(rows, totals) });
+    }
+  }
+
+  return { revenueRows, departmentRows, validationResults, reconciliation };
 }
 
 function appendDataset(target, rows) {
@@ -135,15 +583,6 @@ function appendDataset(target, rows) {
   target.splice(target.length, 0, ...cloneRows(dataRows));
 }
 
-function parseCsv(filePath) {
-  const raw = fs.readFileSync(filePath, 'utf8');
-  return raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.length)
-    .map((line) => splitCsvLine(line));
-}
-
 function parseArgs(args) {
   const files = [];
   let clinic = process.env.CLINIC_NAME || '';
@@ -152,6 +591,14 @@ function parseArgs(args) {
   let administrative = process.env.ADMINISTRATIVE_COMPLAINTS || '';
   let referrals = process.env.REFERRALS || '';
   let remarks = process.env.REMARKS || '';
+  let dryRun = process.env.DRY_RUN === '1';
+  let json = false;
+  let snapshotId = '';
+  let rollbackId = '';
+  let force = false;
+  let sink = process.env.SINK || 'sheets';
+  let output = process.env.SINK_OUTPUT || '';
+  let user = process.env.SYNC_USER || os.userInfo().username;
 
   for (let i = 0; i < args.length; i += 1) {
     const arg = args[i];
@@ -173,6 +620,31 @@ function parseArgs(args) {
     if (arg === '--remarks' && args[i + 1]) { remarks = args[i + 1]; i += 1; continue; }
     if (arg.startsWith('--remarks=')) { remarks = arg.split('=').slice(1).join('='); continue; }
 
+    if (arg === '--revenue' && args[i + 1]) { files.push({ file: args[i + 1], dataset: 'revenue' }); i += 1; continue; }
+    if (arg.startsWith('--revenue=')) { files.push({ file: arg.split('=').slice(1).join('='), dataset: 'revenue' }); continue; }
+
+    if (arg === '--department' && args[i + 1]) { files.push({ file: args[i + 1], dataset: 'department' }); i += 1; continue; }
+    if (arg.startsWith('--department=')) { files.push({ file: arg.split('=').slice(1).join('='), dataset: 'department' }); continue; }
+
+    if (arg === '--dry-run') { dryRun = true; continue; }
+    if (arg === '--json') { json = true; continue; }
+    if (arg === '--force') { force = true; continue; }
+
+    if (arg === '--snapshot-id' && args[i + 1]) { snapshotId = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--snapshot-id=')) { snapshotId = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--rollback' && args[i + 1]) { rollbackId = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--rollback=')) { rollbackId = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--sink' && args[i + 1]) { sink = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--sink=')) { sink = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--output' && args[i + 1]) { output = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--output=')) { output = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--user' && args[i + 1]) { user = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--user=')) { user = arg.split('=').slice(1).join('='); continue; }
+
     files.push(arg);
   }
 
@@ -184,31 +656,50 @@ function parseArgs(args) {
     administrativeComplaints: administrative.trim(),
     referrals: referrals.trim(),
     remarks: remarks.trim(),
+    dryRun,
+    jsonOutput: json,
+    snapshotId: snapshotId.trim(),
+    rollbackId: rollbackId.trim(),
+    force,
+    sinkName: sink.trim().toLowerCase(),
+    sinkOutput: output.trim(),
+    user: user.trim(),
   };
 }
 
-async function appendOtherMetricsRow(
-  sheets,
-  spreadsheetId,
-  { clinicName, reportPeriod, medicalComplaints, administrativeComplaints, referrals, remarks },
-) {
-  if (!clinicName || !reportPeriod) return;
+/** Complaint and referral counts must be numbers (blank means 0). */
+function validateOtherMetrics({ medicalComplaints, administrativeComplaints, referrals }) {
+  return Object.entries({
+    'Medical Complaints': medicalComplaints,
+    'Administrative Complaints': administrativeComplaints,
+    Referrals: referrals,
+  })
+    .filter(([, value]) => String(value ?? '').trim() !== '' && parseNumber(value) === null)
+    .map(([name, value]) => `"${name}" must be a number, got "${value}".`);
+}
+
+function buildOtherMetricsRows({
+  clinicName,
+  reportPeriod,
+  medicalComplaints,
+  administrativeComplaints,
+  referrals,
+  remarks,
+}) {
+  if (!clinicName || !reportPeriod) return [];
 
   const normalizedDate = normalizePeriod(reportPeriod);
   const header = ['Date', 'Clinic', 'Medical Complaints', 'Administrative Complaints', 'Referrals', 'Remarks'];
   const row = [
     normalizedDate,
     clinicName,
-    Number(medicalComplaints) || 0,
-    Number(administrativeComplaints) || 0,
-    Number(referrals) || 0,
+    parseNumber(medicalComplaints) ?? 0,
+    parseNumber(administrativeComplaints) ?? 0,
+    parseNumber(referrals) ?? 0,
     remarks || '',
   ];
 
-  await pushToSheet(sheets, spreadsheetId, OTHER_TAB, [header, row]);
-
-  // 👇 ensure the Date column in "Other" is formatted as a Date
-  await ensureDateColumnFormat(sheets, spreadsheetId, OTHER_TAB, header);
+  return [header, row];
 }
 
 function buildDoctorNameMap(...datasets) {
@@ -233,7 +724,7 @@ function buildDoctorNameMap(...datasets) {
   return map;
 }
 
-function buildDepartmentNameMap(rows) {
+function buildDepartmentNameMap(rows, resolveDepartment) {
   const map = new Map();
   if (!rows.length) return map;
 
@@ -241,6 +732,7 @@ function buildDepartmentNameMap(rows) {
   const doctorIdIdx = findColumnIndex(header, 'doctor id');
   const clinicIdx = findColumnIndex(header, 'clinic');
   const departmentIdx = findColumnIndex(header, 'department name');
+  const departmentIdIdx = findColumnIndex(header, 'department id');
   if (doctorIdIdx === -1 || clinicIdx === -1 || departmentIdx === -1) {
     return map;
   }
@@ -248,8 +740,8 @@ function buildDepartmentNameMap(rows) {
   dataRows.forEach((row) => {
     const doctorId = normalizeDoctorId(row[doctorIdIdx]);
     const clinic = normalizeClinicValue(row[clinicIdx]);
-    const departmentName = normalizeDepartmentName(row[departmentIdx]);
     if (!doctorId || !clinic) return;
+    const departmentName = resolveDepartment(row[departmentIdx], departmentIdIdx === -1 ? '' : row[departmentIdIdx], clinic);
 
     const key = buildClinicDoctorKey(clinic, doctorId);
     if (!map.has(key)) {
@@ -270,7 +762,7 @@ function addConstantColumn(rows, columnName, value) {
   return [updatedHeader, ...updatedRows];
 }
 
-function addCommonDoctorNameColumn(rows, doctorNameMap) {
+function addCommonDoctorNameColumn(rows, doctorNameMap, doctorRegistry = null) {
   if (!rows.length) return rows;
 
   const [header, ...dataRows] = cloneRows(rows);
@@ -295,7 +787,8 @@ function addCommonDoctorNameColumn(rows, doctorNameMap) {
   const normalizedRows = workingRows.map((row) => {
     const copy = [...row];
     const doctorId = normalizeDoctorId(copy[doctorIdIdx]);
-    const resolvedName = (doctorId && doctorNameMap.get(doctorId)) || UNKNOWN_LABEL;
+    const resolvedName =
+      (doctorId && (resolveDoctorName(doctorRegistry, doctorId) || doctorNameMap.get(doctorId))) || UNKNOWN_LABEL;
     copy[targetIndex] = resolvedName;
     return copy;
   });
@@ -303,7 +796,7 @@ function addCommonDoctorNameColumn(rows, doctorNameMap) {
   return [updatedHeader, ...normalizedRows];
 }
 
-function addCommonDepartmentNameColumn(rows, departmentNameMap) {
+function addCommonDepartmentNameColumn(rows, departmentNameMap, { resolveDepartment, doctorRegistry = null }) {
   if (!rows.length) return rows;
 
   const [header, ...dataRows] = cloneRows(rows);
@@ -333,6 +826,8 @@ function addCommonDepartmentNameColumn(rows, departmentNameMap) {
 
   const resolvedDoctorIdx = findColumnIndex(updatedHeader, 'doctor id');
   const resolvedClinicIdx = findColumnIndex(updatedHeader, 'clinic');
+  const ownDepartmentIdx = findColumnIndex(updatedHeader, 'department name');
+  const ownDepartmentIdIdx = findColumnIndex(updatedHeader, 'department id');
   if (resolvedDoctorIdx === -1 || resolvedClinicIdx === -1) {
     return rows;
   }
@@ -342,7 +837,16 @@ function addCommonDepartmentNameColumn(rows, departmentNameMap) {
     const doctorId = normalizeDoctorId(copy[resolvedDoctorIdx]);
     const clinic = normalizeClinicValue(copy[resolvedClinicIdx]);
     const key = doctorId && clinic ? buildClinicDoctorKey(clinic, doctorId) : '';
-    const resolvedName = (key && departmentNameMap.get(key)) || UNKNOWN_LABEL;
+    // A row that names its own department (every Department Wise row) uses it.
+    const ownDepartment =
+      ownDepartmentIdx !== -1 || ownDepartmentIdIdx !== -1
+        ? resolveDepartment(copy[ownDepartmentIdx], ownDepartmentIdIdx === -1 ? '' : copy[ownDepartmentIdIdx], clinic)
+        : UNKNOWN_LABEL;
+    const resolvedName =
+      (ownDepartment !== UNKNOWN_LABEL && ownDepartment) ||
+      (key && departmentNameMap.get(key)) ||
+      resolveDoctorDepartment(doctorRegistry, doctorId, clinic) ||
+      UNKNOWN_LABEL;
     copy[targetIndex] = resolvedName;
     return copy;
   });
@@ -435,37 +939,6 @@ function applyClinicColumn(rows, clinicName) {
   return [header, ...updatedRows];
 }
 
-/** Convert Excel/Google Sheets serial day number to YYYY-MM-DD (UTC). */
-function excelSerialToIsoDate(serial) {
-  const base = new Date(Date.UTC(1899, 11, 30)); // 1899-12-30
-  const ms = Number(serial) * 24 * 60 * 60 * 1000;
-  const d = new Date(base.getTime() + ms);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-
-function normalizePeriod(period) {
-  const trimmed = String(period).trim();
-  if (!trimmed) return '';
-
-  // Excel/Sheets serial like 45870 or 45870.0
-  if (/^\d+(\.0+)?$/.test(trimmed)) {
-    return excelSerialToIsoDate(Math.trunc(Number(trimmed)));
-  }
-
-  // ISO-like: 2025-08 or 2025-08-01
-  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
-  if (isoMatch) {
-    const [, year, month, day] = isoMatch;
-    return `${year}-${month}-${day || '01'}`;
-  }
-
-  // Fallback (USER_ENTERED will try to parse)
-  return trimmed;
-}
-
 function cloneRows(rows) {
   return rows.map((row) => [...row]);
 }
@@ -510,6 +983,11 @@ function isMissingValue(value) {
   return lower === 'null' || lower === 'undefined';
 }
 
+/**
+ * Write numbers (see parseNumber()) into columns where every value is one;
+ * blanks there become 0. Anything else stays as text: validateDataset()
+ * has already reported it.
+ */
 function formatNumericColumns(rows, exclusionSet) {
   if (!rows.length) return rows;
 
@@ -523,8 +1001,8 @@ function formatNumericColumns(rows, exclusionSet) {
         copy[index] = 0;
         return;
       }
-      const normalized = Number(copy[index]);
-      copy[index] = Number.isFinite(normalized) ? normalized : 0;
+      const normalized = parseNumber(copy[index]);
+      if (normalized !== null) copy[index] = normalized;
     });
     return copy;
   });
@@ -532,54 +1010,148 @@ function formatNumericColumns(rows, exclusionSet) {
   return [header, ...formattedRows];
 }
 
-function findColumnIndex(header, columnName) {
-  return header.findIndex(
-    (cell) => cell && cell.trim().toLowerCase() === columnName.trim().toLowerCase()
-  );
+/**
+ * The Summary tab payload for this clinic and period (see clinic-summary.js).
+ * Tabs this sync writes use the rows in memory; the others (e.g. Revenue when
+ * only the Department report was uploaded) are read from the sink.
+ */
+async function buildSummaryPayload(sink, tabPayloads, { clinic, period, slot, tabName }) {
+  const sources = {};
+  for (const { key, tabName: sourceTab, rows } of tabPayloads) {
+    if (rows.length) {
+      sources[key] = rows;
+      continue;
+    }
+    const [header = [], ...existingRows] = await sink.readRows(sourceTab);
+    const inScope = buildScopeMatcher(header, period, clinic);
+    sources[key] = inScope ? [header, ...existingRows.filter(inScope)] : [];
+  }
+  return { key: 'summary', tabName, rows: buildSummaryRows({ clinic, period, slot, ...sources }) };
 }
 
-async function removeRowsForDate(sheets, spreadsheetId, tabName, targetDate, clinicName = null) {
-  try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${tabName}!A:ZZ`,
+/**
+ * The Anomalies tab payload: the uploaded Revenue and Department rows
+ * against the clinic's earlier months in the sink. `scope` is set so the
+ * month's old flags are replaced even when nothing is flagged now.
+ */
+async function buildAnomalyPayload(sink, tabPayloads, { clinic, period, thresholds, tabName }) {
+  const current = {};
+  const history = {};
+  for (const { key, tabName: sourceTab, rows } of tabPayloads) {
+    if (key !== 'revenue' && key !== 'department') continue;
+    current[key] = rows;
+    if (!rows.length) continue;
+    const [header = [], ...existingRows] = await sink.readRows(sourceTab);
+    const clinicIndex = findColumnIndex(header, 'clinic');
+    history[key] = [header, ...existingRows.filter((row) => clinicIndex !== -1 && (row[clinicIndex] || '') === clinic)];
+  }
+
+  const anomalies = clinic && period ? detectAnomalies({ period, current, history, thresholds }) : [];
+  return {
+    key: 'anomalies',
+    tabName,
+    rows: clinic && period ? buildAnomalyRows({ clinic, period, anomalies }) : [],
+    scope: { targetDate: normalizePeriod(period), targetClinic: clinic },
+    anomalies,
+  };
+}
+
+/** Read each target tab and work out what a real sync would remove and append, without writing. */
+async function planSync(sink, tabPayloads) {
+  const plan = [];
+
+  for (const { tabName, rows, scope } of tabPayloads) {
+    if (!rows.length) {
+      plan.push({
+        tabName,
+        header: [],
+        targetDate: null,
+        targetClinic: null,
+        incomingRows: [],
+        existingRows: [],
+        additions: [],
+        updates: [],
+        removals: [],
+        unchanged: 0,
+      });
+      continue;
+    }
+
+    const { targetDate, targetClinic } = scope || resolveReplaceTarget(rows);
+    const upsert = planUpsert(await sink.readRows(tabName), rows, { targetDate, targetClinic });
+
+    plan.push({
+      tabName,
+      header: upsert.header,
+      targetDate,
+      targetClinic,
+      incomingRows: rows.slice(1),
+      existingRows: upsert.scopeRows,
+      additions: upsert.additions.map((row, idx) => ({ key: upsert.additionKeys[idx], row })),
+      updates: upsert.updates.map(({ key, row, previous }) => ({ key, row, previous })),
+      removals: upsert.removals.map(({ key, previous }) => ({ key, previous })),
+      unchanged: upsert.unchanged.length,
     });
+  }
 
-    const values = response.data.values || [];
-    if (!values.length) return;
+  return plan;
+}
 
-    const header = values[0];
-    const dateIdx = findColumnIndex(header, 'date');
-    if (dateIdx === -1) return;
+function printSyncPlan(target, plan) {
+  console.log(`Dry run: nothing will be written to ${target}.`);
 
-    const clinicIdx = clinicName !== null ? findColumnIndex(header, 'clinic') : -1;
-    const normalizedTarget = normalizePeriod(targetDate);
-    const filteredRows = values.slice(1).filter((row) => {
-      const rowDate = row[dateIdx] || '';
-      if (normalizePeriod(rowDate) !== normalizedTarget) return true;
+  plan.forEach(({ tabName, header, targetDate, targetClinic, additions, updates, removals, unchanged }) => {
+    console.log('');
+    console.log(`[${tabName}]`);
 
-      if (clinicIdx === -1 || clinicName === null) return false;
-      return (row[clinicIdx] || '') !== clinicName;
+    if (!header.length) {
+      console.log('  No rows to push.');
+      return;
+    }
+
+    const targetLabel = [targetDate, targetClinic].filter(Boolean).join(' / ') || 'n/a';
+    console.log(
+      `  For ${targetLabel}: would add ${additions.length}, update ${updates.length}, remove ${removals.length} row(s); ${unchanged} unchanged.`,
+    );
+    additions.forEach(({ row }) => console.log(`    + ${formatPreviewRow(row)}`));
+    updates.forEach(({ row, previous }) => {
+      console.log(`    ~ ${formatPreviewRow(row)}`);
+      console.log(`      was ${formatPreviewRow(previous)}`);
     });
+    removals.forEach(({ previous }) => console.log(`    - ${formatPreviewRow(previous)}`));
+  });
+}
 
-    if (filteredRows.length === values.length - 1) return;
+function printRollbackHint(snapshotId) {
+  console.log(`Saved snapshot ${snapshotId}. Undo with: node sync-to-sheets.js --rollback ${snapshotId}`);
+}
 
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId,
-      range: `${tabName}!A:ZZ`,
+function printReconciliation(reconciliation = []) {
+  reconciliation.forEach(({ file, checked, differences }) => {
+    console.log('');
+    if (!differences.length) {
+      console.log(`Totals check for ${file}: all ${checked} report total(s) match the rows.`);
+      return;
+    }
+    console.log(`Totals check for ${file}: ${differences.length} of ${checked} report total(s) do not match the rows.`);
+    differences.forEach(({ scope, column, reported, actual, difference }) => {
+      console.log(`  ! ${scope} / ${column}: report says ${reported}, rows add up to ${actual} (${difference > 0 ? '+' : ''}${difference})`);
     });
+  });
+}
 
-    const newValues = [header, ...filteredRows];
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `${tabName}!A1`,
-      valueInputOption: 'USER_ENTERED',
-      requestBody: { values: newValues },
-    });
-  } catch (error) {
-    if (error.code === 400 || error.code === 404) return;
-    throw error;
+function printAnomalies(anomalies = []) {
+  console.log('');
+  if (!anomalies.length) {
+    console.log('Month-over-month check: nothing unusual against earlier months.');
+    return;
   }
+  console.log(`Month-over-month check: ${anomalies.length} flag(s). A wrong month or clinic often shows up here.`);
+  anomalies.forEach(({ type, note }) => console.log(`  ! [${type}] ${note}`));
+}
+
+function formatPreviewRow(row) {
+  return row.map((cell) => (cell === undefined || cell === null ? '' : String(cell))).join(' | ');
 }
 
 function detectNumericColumnIndices(header, dataRows, exclusionSet) {
@@ -594,8 +1166,7 @@ function detectNumericColumnIndices(header, dataRows, exclusionSet) {
       const value = dataRows[i][idx];
       if (value === undefined || value === '') continue;
 
-      const numericValue = Number(value);
-      if (Number.isFinite(numericValue)) {
+      if (parseNumber(value) !== null) {
         seenNumeric = true;
       } else {
         seenNonNumeric = true;
@@ -608,145 +1179,64 @@ function detectNumericColumnIndices(header, dataRows, exclusionSet) {
   }, []);
 }
 
-function splitCsvLine(line) {
-  const cells = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    if (char === '"' && line[i - 1] !== '\\') {
-      inQuotes = !inQuotes;
-      continue;
-    }
-    if (char === ',' && !inQuotes) {
-      cells.push(cleanCellValue(current));
-      current = '';
-      continue;
-    }
-    current += char;
-  }
-  cells.push(cleanCellValue(current));
-  return cells;
-}
-
-function cleanCellValue(value) {
-  const trimmed = value.trim();
-  if (trimmed === '') return '';
-  return trimmed.replace(/""/g, '"');
-}
-
-async function pushToSheet(sheets, spreadsheetId, tabName, rows) {
+async function pushToSheet(sink, tabName, rows, snapshot = null, scope = resolveReplaceTarget(rows)) {
   if (!rows.length) return;
 
-  const dateIndex = findColumnIndex(rows[0], 'date');
-  const targetDate = dateIndex !== -1 && rows.length > 1 ? rows[1][dateIndex] : null;
-  const clinicIndex = findColumnIndex(rows[0], 'clinic');
-  const targetClinic = clinicIndex !== -1 && rows.length > 1 ? rows[1][clinicIndex] : null;
+  const { targetDate, targetClinic } = scope;
+  const plan = await sink.upsertRows(tabName, rows, { targetDate, targetClinic });
 
-  if (dateIndex !== -1 && targetDate) {
-    await removeRowsForDate(sheets, spreadsheetId, tabName, targetDate, targetClinic);
-  }
-
-  const range = `${tabName}!A1`;
-  let hasExistingData = false;
-
-  try {
-    const existing = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${tabName}!1:1` });
-    hasExistingData = Array.isArray(existing.data.values) && existing.data.values.length > 0;
-  } catch (error) {
-    if (error.code !== 400 && error.code !== 404) throw error;
-  }
-
-  const valuesToAppend = hasExistingData ? rows.slice(1) : rows;
-  if (!valuesToAppend.length) {
-    console.log(`No new rows to append for "${tabName}".`);
-    return;
+  if (snapshot && targetDate) {
+    snapshot.tabs.push({
+      tabName,
+      targetDate: normalizePeriod(targetDate),
+      targetClinic,
+      header: plan.header,
+      previousRows: plan.scopeRows,
+    });
   }
 
-  console.log(`Appending ${valuesToAppend.length} row(s) to "${tabName}" (header preserved: ${hasExistingData}).`);
-
-  await sheets.spreadsheets.values.append({
-    spreadsheetId,
-    range,
-    valueInputOption: 'USER_ENTERED',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values: valuesToAppend },
-  });
+  logUpsertResult(tabName, [targetDate, targetClinic].filter(Boolean).join(' / '), plan);
+  return summarizeUpsert(tabName, { targetDate, targetClinic }, rows.length - 1, plan);
 }
 
-async function createServiceAccountAuth() {
-  const serviceAccountPath = path.resolve(process.cwd(), '.env');
-  if (!fs.existsSync(serviceAccountPath)) {
-    throw new Error('Missing .env service account file. Place the JSON credentials inside .env.');
-  }
-
-  const raw = fs.readFileSync(serviceAccountPath, 'utf8');
-  let credentials;
-  try {
-    credentials = JSON.parse(raw);
-  } catch {
-    throw new Error('Unable to parse .env. Ensure it contains valid JSON for the service account.');
-  }
-
-  const privateKey = credentials.private_key ? credentials.private_key.replace(/\\n/g, '\n') : null;
-
-  return new google.auth.JWT({
-    email: credentials.client_email,
-    key: privateKey,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+function summarizeUpsert(tabName, target, rowCount, plan) {
+  return summarizeTab({ tabName, ...target }, {
+    rows: rowCount,
+    added: plan.additions.length,
+    updated: plan.updates.length,
+    removed: plan.removals.length,
+    unchanged: plan.unchanged.length,
   });
 }
 
-// ---------------- DATE COLUMN FORMAT HELPERS ----------------
-async function getSheetIdByTitle(sheets, spreadsheetId, title) {
-  const meta = await sheets.spreadsheets.get({
-    spreadsheetId,
-    fields: 'sheets.properties',
-  });
-  const sheet = (meta.data.sheets || []).find(
-    (s) => s.properties && s.properties.title === title
+function logUpsertResult(tabName, targetLabel, plan) {
+  console.log(
+    `"${tabName}"${targetLabel ? ` [${targetLabel}]` : ''}: ${plan.additions.length} added, ${plan.updates.length} updated, ${plan.removals.length} removed, ${plan.unchanged.length} unchanged.`,
   );
-  return sheet ? sheet.properties.sheetId : null;
-}
-
-/** Force the 'Date' column to use DATE format (yyyy-mm-dd). */
-async function ensureDateColumnFormat(sheets, spreadsheetId, tabName, headerRow) {
-  const dateColIdx = findColumnIndex(headerRow, 'date');
-  if (dateColIdx === -1) return;
-
-  const sheetId = await getSheetIdByTitle(sheets, spreadsheetId, tabName);
-  if (sheetId == null) return;
-
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId,
-    requestBody: {
-      requests: [
-        {
-          repeatCell: {
-            range: {
-              sheetId,
-              startRowIndex: 1, // skip header row
-              startColumnIndex: dateColIdx,
-              endColumnIndex: dateColIdx + 1,
-            },
-            cell: {
-              userEnteredFormat: {
-                numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' },
-                horizontalAlignment: 'LEFT',
-              },
-            },
-            fields: 'userEnteredFormat.numberFormat,userEnteredFormat.horizontalAlignment',
-          },
-        },
-      ],
-    },
-  });
+  plan.additionKeys.forEach((key) => console.log(`  added   ${key}`));
+  plan.updates.forEach(({ key }) => console.log(`  updated ${key}`));
+  plan.removals.forEach(({ key }) => console.log(`  removed ${key}`));
 }
 
 if (require.main === module) {
   main().catch((error) => {
+    if (error instanceof ValidationError) {
+      console.error(error.details);
+      process.exit(VALIDATION_EXIT_CODE);
+    }
     console.error(error.message || error);
-    process.exit(1);
+    if (error.snapshotId) {
+      printRollbackHint(error.snapshotId);
+    }
+    process.exit(error instanceof SyncInProgressError ? LOCKED_EXIT_CODE : 1);
   });
 }
+
+module.exports = {
+  syncReports,
+  rollbackSync,
+  readReports,
+  loadDatasets,
+  prepareTabRows,
+  planSync,
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANOMALY_HEADER, detectAnomalies, buildAnomalyRows } = require('../anomaly-detection');
+
+const HEADER = ['Date', 'Clinic', 'Doctor ID', 'Doctor Name', 'Revenue'];
+
+function revenueRows(month, doctors) {
+  return doctors.map(([id, name, revenue]) => [month, 'Olaya', id, name, String(revenue)]);
+}
+
+const HISTORY = [
+  HEADER,
+  ...revenueRows('2026-01-01', [['1', 'Dr A', 1000], ['2', 'Dr B', 500]]),
+  ...revenueRows('2026-02-01', [['1', 'Dr A', 1100], ['2', 'Dr B', 520]]),
+  ...revenueRows('2026-03-01', [['1', 'Dr A', 1050], ['2', 'Dr B', 480]]),
+];
+
+test('a month without history yields no flags', () => {
+  const current = [HEADER, ...revenueRows('2026-04-01', [['1', 'Dr A', 9000]])];
+  assert.deepEqual(detectAnomalies({ period: '2026-04', current: { revenue: current } }), []);
+});
+
+test('a large swing is flagged against the previous month', () => {
+  const current = [HEADER, ...revenueRows('2026-04-01', [['1', 'Dr A', 2100], ['2', 'Dr B', 500]])];
+  const anomalies = detectAnomalies({ period: '2026-04', current: { revenue: current }, history: { revenue: HISTORY } });
+  assert.equal(anomalies.length, 1);
+  assert.deepEqual(
+    { ...anomalies[0], note: undefined },
+    { type: 'swing', dataset: 'revenue', subject: 'Dr A (1)', metric: 'Revenue', previous: 1050, current: 2100, change: 100, zScore: 25.72, note: undefined },
+  );
+  assert.match(anomalies[0].note, /against 1,050 in 2026-03 \(\+100%\)/);
+});
+
+test('missing and new doctors are flagged', () => {
+  const current = [HEADER, ...revenueRows('2026-04-01', [['1', 'Dr A', 1000], ['3', 'Dr C', 300]])];
+  const anomalies = detectAnomalies({ period: '2026-04', current: { revenue: current }, history: { revenue: HISTORY } });
+  assert.deepEqual(anomalies.map(({ type, subject }) => [type, subject]), [
+    ['missing', 'Dr B (2)'],
+    ['new', 'Dr C (3)'],
+  ]);
+});
+
+test('thresholds: small values are ignored and history is limited', () => {
+  const current = [HEADER, ...revenueRows('2026-04-01', [['1', 'Dr A', 1000], ['2', 'Dr B', 50]])];
+  const history = { revenue: HISTORY };
+  const flagged = detectAnomalies({ period: '2026-04', current: { revenue: current }, history });
+  assert.deepEqual(flagged.map(({ subject }) => subject), ['Dr B (2)']);
+
+  const ignored = detectAnomalies({ period: '2026-04', current: { revenue: current }, history, thresholds: { ignoreBelow: 600 } });
+  assert.deepEqual(ignored, []);
+
+  // With one month of history no z-score is computed.
+  const [swing] = detectAnomalies({ period: '2026-04', current: { revenue: current }, history, thresholds: { historyMonths: 1 } });
+  assert.equal(swing.zScore, null);
+  assert.equal(swing.change, -89.58);
+});
+
+test('later months in the history are not used', () => {
+  const current = [HEADER, ...revenueRows('2026-02-01', [['1', 'Dr A', 1100], ['2', 'Dr B', 520]])];
+  const anomalies = detectAnomalies({ period: '2026-02', current: { revenue: current }, history: { revenue: HISTORY } });
+  assert.deepEqual(anomalies, []);
+});
+
+test('anomaly rows start with the header', () => {
+  assert.deepEqual(buildAnomalyRows({ clinic: 'Olaya', period: '2026-04', anomalies: [] }), [ANOMALY_HEADER]);
+  const rows = buildAnomalyRows({
+    clinic: 'Olaya',
+    period: '2026-04',
+    anomalies: [{ type: 'new', dataset: 'department', subject: 'Dr C', note: 'New.' }],
+  });
+  assert.deepEqual(rows[1], ['2026-04-01', 'Olaya', 'Department', 'new', 'Dr C', '', '', '', '', '', 'New.']);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+process.env.DATA_DIR = dataDir;
+const { createSession, destroySession, requireUser } = require('../auth');
+const { createUser } = require('../users');
+
+test.before(() => createUser({ username: 'nora', password: 'correct horse', clinics: ['Olaya'] }));
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function fakeResponse() {
+  const res = { headers: {}, statusCode: 200 };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.set = (name, value) => {
+    res.setHeader(name, value);
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  return res;
+}
+
+/** Run requireUser; resolves to { req, res, passed }. */
+function authenticate({ cookie, authorization, url = '/' } = {}) {
+  const req = { headers: { cookie, authorization }, path: url.split('?')[0], originalUrl: url };
+  const res = fakeResponse();
+  return new Promise((resolve, reject) => {
+    const done = () => resolve({ req, res, passed: Boolean(req.user) });
+    res.json = (body) => {
+      res.body = body;
+      done();
+    };
+    res.redirect = (target) => {
+      res.redirectedTo = target;
+      done();
+    };
+    requireUser(req, res, (error) => (error ? reject(error) : done()));
+  });
+}
+
+function sessionCookie(res) {
+  return res.headers['set-cookie'].split(';')[0];
+}
+
+test('a session cookie signs the user in until it is destroyed', async () => {
+  const login = fakeResponse();
+  createSession(login, { username: 'nora' });
+  assert.match(login.headers['set-cookie'], /^dallah_session=[0-9a-f]{64}; HttpOnly; SameSite=Lax; Path=\/; Max-Age=\d+$/);
+  const cookie = sessionCookie(login);
+
+  const { req, passed } = await authenticate({ cookie });
+  assert.equal(passed, true);
+  assert.equal(req.user.username, 'nora');
+  assert.deepEqual(req.user.clinics, ['Olaya']);
+  assert.equal(req.user.passwordHash, undefined);
+
+  const logout = fakeResponse();
+  destroySession({ headers: { cookie } }, logout);
+  assert.match(logout.headers['set-cookie'], /Max-Age=0/);
+  const after = await authenticate({ cookie, url: '/history?clinic=Olaya' });
+  assert.equal(after.passed, false);
+  assert.equal(after.res.redirectedTo, '/login?next=%2Fhistory%3Fclinic%3DOlaya');
+});
+
+test('an unknown session cookie is turned away', async () => {
+  const { passed, res } = await authenticate({ cookie: `dallah_session=${'0'.repeat(64)}` });
+  assert.equal(passed, false);
+  assert.equal(res.redirectedTo, '/login?next=%2F');
+});
+
+test('API calls may send Basic credentials', async () => {
+  const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  const ok = await authenticate({ authorization: basic('nora:correct horse'), url: '/api/reports' });
+  assert.equal(ok.passed, true);
+  assert.equal(ok.req.user.username, 'nora');
+
+  const wrong = await authenticate({ authorization: basic('nora:wrong horse'), url: '/api/reports' });
+  assert.equal(wrong.passed, false);
+  assert.equal(wrong.res.statusCode, 401);
+  assert.equal(wrong.res.headers['www-authenticate'], 'Basic realm="form-server"');
+  assert.equal(wrong.res.body.error.code, 'UNAUTHENTICATED');
+});
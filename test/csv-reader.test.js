@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCsvFile, detectDelimiter } = require('../csv-reader');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-reader-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeTemp(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', async () => {
+  const file = writeTemp('quoted.csv', 'Doctor ID,Doctor Name,Revenue\n1,"Ali, ""Dr""\nSenior",100\n\n2,Dr B,200\n');
+  const { rows, errors, delimiter } = await readCsvFile(file);
+  assert.equal(delimiter, ',');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    ['Doctor ID', 'Doctor Name', 'Revenue'],
+    ['1', 'Ali, "Dr"\nSenior', '100'],
+    ['2', 'Dr B', '200'],
+  ]);
+});
+
+test('BOM is stripped and semicolons are detected', async () => {
+  const file = writeTemp('semi.csv', '\ufeffDoctor ID;Doctor Name;Revenue\n1;Dr A;1.234,50\n');
+  const { rows, delimiter } = await readCsvFile(file);
+  assert.equal(delimiter, ';');
+  assert.deepEqual(rows[0], ['Doctor ID', 'Doctor Name', 'Revenue']);
+  assert.deepEqual(rows[1], ['1', 'Dr A', '1.234,50']);
+});
+
+test('UTF-16 files with a BOM are decoded', async () => {
+  const text = 'Doctor ID\tDoctor Name\n1\tد. علي\n';
+  const file = writeTemp('utf16.csv', Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]));
+  const { rows, delimiter } = await readCsvFile(file);
+  assert.equal(delimiter, '\t');
+  assert.deepEqual(rows, [['Doctor ID', 'Doctor Name'], ['1', 'د. علي']]);
+});
+
+test('malformed rows are reported by line', async () => {
+  const extra = await readCsvFile(writeTemp('extra.csv', 'Doctor ID,Doctor Name,Revenue\n1,Dr A,100\n2,Dr B,1,200\n'));
+  assert.equal(extra.errors.length, 1);
+  assert.match(extra.errors[0], /^Line 3: 4 cells but the header has 3/);
+
+  const unclosed = await readCsvFile(writeTemp('unclosed.csv', 'Doctor ID,Doctor Name\n1,Dr A\n2,"Dr B\n'));
+  assert.deepEqual(unclosed.rows, []);
+  assert.match(unclosed.errors[0], /^Line 3: a quoted value is never closed/);
+});
+
+test('detectDelimiter ignores delimiters inside quotes', () => {
+  assert.equal(detectDelimiter('"a;b;c",d,e\n'), ',');
+  assert.equal(detectDelimiter('a;b;c\n1,2;3'), ';');
+});
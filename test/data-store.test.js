@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('../data-store');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('concurrent writes to one file leave valid JSON and no temp files', async () => {
+  const file = path.join(dir, 'writes.json');
+  await Promise.all(Array.from({ length: 20 }, (_, index) => writeJsonFile(file, { index, padding: 'x'.repeat(index * 100) })));
+  assert.equal((await readJsonFile(file)).index, 19);
+  assert.deepEqual(fs.readdirSync(dir).filter((name) => name.startsWith('writes.json.')), []);
+});
+
+test('concurrent updates are not lost', async () => {
+  const file = path.join(dir, 'counter.json');
+  await Promise.all(
+    Array.from({ length: 20 }, () =>
+      updateJsonFile(file, { count: 0 }, async (store) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        store.count += 1;
+      }),
+    ),
+  );
+  assert.deepEqual(await readJsonFile(file), { count: 20 });
+});
+
+test('a failed update leaves the file alone and later updates still run', async () => {
+  const file = path.join(dir, 'failed.json');
+  await writeJsonFile(file, { value: 1 });
+  await assert.rejects(
+    updateJsonFile(file, {}, () => {
+      throw new Error('nope');
+    }),
+    /nope/,
+  );
+  assert.deepEqual(await updateJsonFile(file, {}, (store) => ({ value: store.value + 1 })), { value: 2 });
+});
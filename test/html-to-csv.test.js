@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractRows, normalizeRows, trimRow, cleanCell } = require('../html-to-csv');
+
+test('blank cells keep their column', () => {
+  const rows = extractRows('<table><tr><td>1</td><td></td><td>3</td></tr></table>');
+  assert.deepEqual(rows, [['1', '', '3']]);
+});
+
+test('rowspan repeats the value on every row it covers', () => {
+  const rows = extractRows(`<table>
+    <tr><td rowspan="2">Dental</td><td>Dr A</td><td>100</td></tr>
+    <tr><td>Dr B</td><td>200</td></tr>
+  </table>`);
+  assert.deepEqual(rows, [
+    ['Dental', 'Dr A', '100'],
+    ['Dental', 'Dr B', '200'],
+  ]);
+});
+
+test('colspan keeps later cells in their columns', () => {
+  const rows = extractRows(`<table>
+    <tr><td>ID</td><td>Name</td><td>Revenue</td><td>Visits</td></tr>
+    <tr><td colspan="2">Total</td><td>300</td><td>11</td></tr>
+    <tr><td>1</td><td colspan="2">Dr A</td><td>5</td></tr>
+  </table>`);
+  assert.deepEqual(rows, [
+    ['ID', 'Name', 'Revenue', 'Visits'],
+    ['Total', '', '300', '11'],
+    ['1', 'Dr A', '', '5'],
+  ]);
+});
+
+test('rowspan and colspan together fill the covered block', () => {
+  const rows = extractRows(`<table>
+    <tr><td rowspan="2" colspan="2">A</td><td>1</td></tr>
+    <tr><td>2</td></tr>
+  </table>`);
+  assert.deepEqual(rows, [
+    ['A', '', '1'],
+    ['A', '', '2'],
+  ]);
+});
+
+test('blank rows are dropped; only trailing span columns are trimmed', () => {
+  const rows = extractRows(`<table>
+    <tr><td></td><td> </td></tr>
+    <tr><td>x</td><td></td></tr>
+    <tr><td colspan="2">y</td></tr>
+  </table>`);
+  assert.deepEqual(rows, [['x', ''], ['y']]);
+  assert.equal(trimRow(['', '']), null);
+  assert.deepEqual(trimRow(['', 'a', '', '']), ['', 'a']);
+  assert.deepEqual(trimRow(['a', '', ''], 2), ['a', '']);
+});
+
+test('a doctor row without metrics stays in its department', () => {
+  const rows = extractRows(`<table>
+    <tr><td colspan="3">10 - Dental</td></tr>
+    <tr><th>Doctor Name</th><th>Visits</th><th>Revenue</th></tr>
+    <tr><td>45 - Dr A</td><td>3</td><td>100</td></tr>
+    <tr><td>46 - Dr B</td><td></td><td></td></tr>
+    <tr><td>47 - Dr C</td><td>1</td><td>5</td></tr>
+  </table>`);
+  assert.deepEqual(normalizeRows(rows).slice(1), [
+    ['10', 'Dental', '45', 'Dr A', '3', '100'],
+    ['10', 'Dental', '46', 'Dr B', '', ''],
+    ['10', 'Dental', '47', 'Dr C', '1', '5'],
+  ]);
+});
+
+test('nested tables follow the row that holds them', () => {
+  const rows = extractRows(`<table>
+    <tr><td>outer<table><tr><td>inner</td></tr></table></td></tr>
+    <tr><td>after</td></tr>
+  </table>`);
+  assert.deepEqual(rows, [['outer'], ['inner'], ['after']]);
+});
+
+test('cell text is decoded once', () => {
+  assert.equal(cleanCell('<td>&amp;lt;b&amp;gt;</td>'), '&lt;b&gt;');
+  assert.equal(cleanCell('<td>A &amp;amp; B</td>'), 'A &amp; B');
+  assert.equal(cleanCell('<td>&lt;x&gt; &ndash; AT&amp;T</td>'), '<x> – AT&T');
+});
+
+test('double-escaped and literal direction marks are dropped', () => {
+  assert.equal(cleanCell('<td>Dr&nbsp;&amp;rlm;Ali&amp;#x200F;</td>'), 'Dr Ali');
+  assert.equal(cleanCell('<td>\u200fDr Ali\u200e</td>'), 'Dr Ali');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber } = require('../number-parsing');
+
+test('thousand separators and decimal points', () => {
+  assert.equal(parseNumber('1,234.50'), 1234.5);
+  assert.equal(parseNumber('1.234,50'), 1234.5);
+  assert.equal(parseNumber('1,234'), 1234);
+  assert.equal(parseNumber('1,234,567'), 1234567);
+  assert.equal(parseNumber('1.234.567'), 1234567);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber('1.5'), 1.5);
+  assert.equal(parseNumber('1 234'), 1234);
+});
+
+test('accounting negatives and signs', () => {
+  assert.equal(parseNumber('(250.00)'), -250);
+  assert.equal(parseNumber('250-'), -250);
+  assert.equal(parseNumber('-1,200'), -1200);
+  assert.equal(parseNumber('−5'), -5);
+  assert.equal(parseNumber('(0)'), 0);
+});
+
+test('currency markers and percentages', () => {
+  assert.equal(parseNumber('SAR 1,200'), 1200);
+  assert.equal(parseNumber('1,200 SR'), 1200);
+  assert.equal(parseNumber('1,200 ر.س'), 1200);
+  assert.equal(parseNumber('$(15.25)'), -15.25);
+  assert.equal(parseNumber('12%'), 12);
+});
+
+test('Arabic-Indic digits and separators', () => {
+  assert.equal(parseNumber('١٬٢٣٤٫٥'), 1234.5);
+  assert.equal(parseNumber('۱۲۳'), 123);
+  assert.equal(parseNumber('١٢٪'), 12);
+});
+
+test('numbers pass through; blanks and text are null', () => {
+  assert.equal(parseNumber(42), 42);
+  assert.equal(parseNumber(Number.NaN), null);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('  '), null);
+  assert.equal(parseNumber(null), null);
+  assert.equal(parseNumber(undefined), null);
+  assert.equal(parseNumber('n/a'), null);
+  assert.equal(parseNumber('12abc'), null);
+  assert.equal(parseNumber('1,23,4'), null);
+  assert.equal(parseNumber('1.2.3,4,5'), null);
+});
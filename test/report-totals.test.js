@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeReport } = require('../html-to-csv');
+const { reconcileReportTotals, totalsRowValues } = require('../report-totals');
+
+const GROUPED_REPORT = [
+  ['10 - Dental'],
+  ['Doctor Name', 'Revenue', 'Visits', 'Share %'],
+  ['1 - Dr A', '100', '5', '40'],
+  ['2 - Dr B', '200', '6', '60'],
+  ['Total', '300', '11', '100'],
+  ['', '300', '11', '100'],
+  ['20 - Derma'],
+  ['Doctor Name', 'Revenue', 'Visits', 'Share %'],
+  ['3 - Dr C', '50', '1', '100'],
+  ['', '50', '1', '100'],
+  ['Grand Total', '350', '12'],
+];
+
+test('totals rows are kept as checksums and dropped from the rows', () => {
+  const { rows, totals } = normalizeReport(GROUPED_REPORT);
+  assert.deepEqual(rows.map((row) => row[3]), ['Doctor Name', 'Dr A', 'Dr B', 'Dr C']);
+  assert.deepEqual(totals.groups, [
+    { id: '10', name: 'Dental', values: { Revenue: 300, Visits: 11, 'Share %': 100 } },
+    { id: '20', name: 'Derma', values: { Revenue: 50, Visits: 1, 'Share %': 100 } },
+  ]);
+  assert.deepEqual(totals.grandTotal, { Revenue: 350, Visits: 12 });
+});
+
+test('matching totals report no differences; shares are not summed', () => {
+  const { rows, totals } = normalizeReport(GROUPED_REPORT);
+  assert.deepEqual(reconcileReportTotals(rows, totals), { checked: 6, differences: [] });
+});
+
+test('a changed row shows up in its department and the grand total', () => {
+  const { rows, totals } = normalizeReport(GROUPED_REPORT);
+  rows[2][4] = '180';
+  const { differences } = reconcileReportTotals(rows, totals);
+  assert.deepEqual(differences, [
+    { scope: 'Department 10 - Dental', column: 'Revenue', reported: 300, actual: 280, difference: -20 },
+    { scope: 'Grand total', column: 'Revenue', reported: 350, actual: 330, difference: -20 },
+  ]);
+});
+
+test('a flat report checks every row against its total row', () => {
+  const { rows, totals } = normalizeReport([
+    ['Doctor ID', 'Doctor Name', 'Revenue'],
+    ['1', 'Dr A', '1,000.50'],
+    ['2', 'Dr B', '(200)'],
+    ['Total', '', '800.5'],
+  ]);
+  assert.equal(rows.length, 3);
+  assert.deepEqual(reconcileReportTotals(rows, totals), { checked: 1, differences: [] });
+});
+
+test('totals cells line up with the metric columns', () => {
+  assert.deepEqual(totalsRowValues(['Revenue', 'Visits'], ['', '7']), { Visits: 7 });
+  assert.equal(totalsRowValues(['Revenue'], ['n/a']), null);
+});
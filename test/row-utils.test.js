@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planUpsert, normalizePeriod, buildScopeMatcher } = require('../row-utils');
+
+const HEADER = ['Date', 'Clinic', 'Doctor ID', 'Doctor Name', 'Revenue'];
+
+test('a missing tab gets the header and every row', () => {
+  const rows = [HEADER, ['2026-09-01', 'Qurtubah', '1', 'Dr A', 100]];
+  const plan = planUpsert([], rows);
+  assert.equal(plan.isNewTab, true);
+  assert.deepEqual(plan.additions, [rows[1]]);
+  assert.deepEqual(plan.additionKeys, ['2026-09-01 | Qurtubah | 1']);
+});
+
+test('rows in scope are updated, removed or added by key; others are left alone', () => {
+  const existing = [
+    HEADER,
+    ['2026-08-01', 'Qurtubah', '1', 'Dr A', '90'],
+    ['2026-09-01', 'Qurtubah', '1', 'Dr A', '100'],
+    ['2026-09-01', 'Qurtubah', '2', 'Dr B', '200'],
+    ['2026-09-01', 'Qurtubah', '3', 'Dr C', '1,000'],
+    ['2026-09-01', 'Al Salam', '2', 'Dr B', '50'],
+  ];
+  const incoming = [
+    HEADER,
+    ['2026-09-01', 'Qurtubah', '1', 'Dr A', 150],
+    ['2026-09-01', 'Qurtubah', '3', 'Dr C', 1000],
+    ['2026-09-01', 'Qurtubah', '4', 'Dr D', 10],
+  ];
+  const plan = planUpsert(existing, incoming);
+
+  assert.equal(plan.isNewTab, false);
+  assert.deepEqual(plan.updates.map(({ index, row }) => [index, row[4]]), [[2, 150]]);
+  assert.deepEqual(plan.removals.map(({ index }) => index), [3]);
+  assert.deepEqual(plan.unchanged.map(({ index }) => index), [4]);
+  assert.deepEqual(plan.additionKeys, ['2026-09-01 | Qurtubah | 4']);
+  assert.equal(plan.scopeRows.length, 3);
+});
+
+test('new columns are appended to the existing header', () => {
+  const existing = [HEADER, ['2026-09-01', 'Qurtubah', '1', 'Dr A', '100']];
+  const incoming = [[...HEADER, 'Visits'], ['2026-09-01', 'Qurtubah', '1', 'Dr A', 100, 5]];
+  const plan = planUpsert(existing, incoming);
+  assert.equal(plan.headerChanged, true);
+  assert.deepEqual(plan.header, [...HEADER, 'Visits']);
+  assert.deepEqual(plan.updates[0].row, ['2026-09-01', 'Qurtubah', '1', 'Dr A', 100, 5]);
+});
+
+test('repeated keys pair up in order', () => {
+  const existing = [
+    HEADER,
+    ['2026-09-01', 'Qurtubah', 'Unknown', 'X', '1'],
+    ['2026-09-01', 'Qurtubah', 'Unknown', 'Y', '2'],
+  ];
+  const incoming = [HEADER, ['2026-09-01', 'Qurtubah', 'Unknown', 'X', 1]];
+  const plan = planUpsert(existing, incoming);
+  assert.deepEqual(plan.unchanged.map(({ index }) => index), [1]);
+  assert.deepEqual(plan.removals.map(({ index }) => index), [2]);
+});
+
+test('an explicit scope with no rows clears that scope', () => {
+  const existing = [HEADER, ['2026-09-01', 'Qurtubah', '1', 'Dr A', '100'], ['2026-08-01', 'Qurtubah', '1', 'Dr A', '90']];
+  const plan = planUpsert(existing, [HEADER], { targetDate: '2026-09', targetClinic: 'Qurtubah' });
+  assert.deepEqual(plan.removals.map(({ index }) => index), [1]);
+});
+
+test('Sheets serial dates match ISO dates', () => {
+  assert.equal(normalizePeriod('46266'), '2026-09-01');
+  assert.equal(normalizePeriod('2026-09'), '2026-09-01');
+  const inScope = buildScopeMatcher(HEADER, '2026-09', 'Qurtubah');
+  assert.equal(inScope(['46266', 'Qurtubah']), true);
+  assert.equal(inScope(['46266', 'Al Salam']), false);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-lock-'));
+process.env.DATA_DIR = dataDir;
+const { acquireSyncLock } = require('../sync-lock');
+const { SyncInProgressError } = require('../sync-errors');
+
+const lockDir = path.join(dataDir, 'locks');
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function lockFile() {
+  const files = fs.readdirSync(lockDir).filter((name) => name.endsWith('.lock'));
+  return files.length ? path.join(lockDir, files[0]) : null;
+}
+
+function readLock() {
+  return JSON.parse(fs.readFileSync(lockFile(), 'utf8'));
+}
+
+test('a held lock turns the next caller away until it is released', async () => {
+  const release = await acquireSyncLock('sheet-1', { clinic: 'Olaya', reportPeriod: '2026-09-01' });
+  await assert.rejects(acquireSyncLock('sheet-1'), (error) => {
+    assert.ok(error instanceof SyncInProgressError);
+    assert.equal(error.code, 'SYNC_IN_PROGRESS');
+    assert.equal(error.holder.clinic, 'Olaya');
+    return true;
+  });
+
+  assert.equal(await release(), true);
+  assert.equal(lockFile(), null);
+  const again = await acquireSyncLock('sheet-1');
+  await again();
+});
+
+test('other targets have their own lock', async () => {
+  const first = await acquireSyncLock('sheet-1');
+  const second = await acquireSyncLock('sheet-2');
+  await first();
+  await second();
+});
+
+test('a stale lock is taken over', async () => {
+  const release = await acquireSyncLock('sheet-1');
+  const file = lockFile();
+  fs.writeFileSync(file, JSON.stringify({ ...readLock(), token: 'crashed', startedAt: '2000-01-01T00:00:00.000Z' }));
+
+  const takeover = await acquireSyncLock('sheet-1', { clinic: 'Olaya' });
+  assert.notEqual(readLock().token, 'crashed');
+  assert.equal(readLock().clinic, 'Olaya');
+  // The crashed holder's release no longer owns the lock.
+  assert.equal(await release(), false);
+  await takeover();
+  assert.equal(lockFile(), null);
+});
+
+test('a release with another token leaves the newer lock in place', async () => {
+  const release = await acquireSyncLock('sheet-1');
+  const file = lockFile();
+  const newer = { ...readLock(), token: 'newer-holder', clinic: 'Al Salam' };
+  fs.writeFileSync(file, JSON.stringify(newer));
+
+  assert.equal(await release(), false);
+  assert.deepEqual(readLock(), newer);
+  await assert.rejects(acquireSyncLock('sheet-1'), SyncInProgressError);
+  fs.unlinkSync(file);
+});
+
+test('removing a lock leaves no temp or tombstone files behind', async () => {
+  const release = await acquireSyncLock('sheet-1');
+  await release();
+  assert.deepEqual(fs.readdirSync(lockDir), []);
+});
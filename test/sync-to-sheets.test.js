@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-to-sheets-'));
+process.env.DATA_DIR = dataDir;
+const { syncReports, rollbackSync, readReports } = require('../sync-to-sheets');
+const { loadSnapshot, saveSnapshot } = require('../snapshots');
+
+const sink = { name: 'csv', output: path.join(dataDir, 'out') };
+const HEADER = ['Doctor ID', 'Doctor Name', 'Revenue'];
+
+test.before(() => {
+  // Syncs log each tab's changes.
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function sync(clinic, period, revenue, options = {}) {
+  return syncReports({ datasets: { revenue: [HEADER, ...revenue] }, clinic, period, sink, ...options });
+}
+
+function stored(clinic, period) {
+  return readReports({ clinic, period, sink });
+}
+
+test('a dry run plans the sync without writing it', async () => {
+  const result = await sync('Qurtubah', '2026-08', [['1', 'Dr A', '100']], { dryRun: true });
+  assert.equal(result.snapshotId, null);
+  assert.equal(result.tabs.find(({ tabName }) => tabName === 'Revenue').added, 1);
+  assert.ok(result.plan);
+  assert.deepEqual((await stored('Qurtubah', '2026-08')).tabs.map(({ rows }) => rows.length), [0, 0, 0, 0, 0]);
+});
+
+test('rolling back a sync restores the rows it replaced', async () => {
+  await sync('Qurtubah', '2026-09', [['1', 'Dr A', '100'], ['2', 'Dr B', '200']]);
+  await sync('Al Salam', '2026-09', [['5', 'Dr E', '500']]);
+  const before = await stored('Qurtubah', '2026-09');
+
+  const second = await sync('Qurtubah', '2026-09', [['1', 'Dr A', '150'], ['3', 'Dr C', '10']]);
+  const revenueTab = second.tabs.find(({ tabName }) => tabName === 'Revenue');
+  assert.deepEqual([revenueTab.added, revenueTab.updated, revenueTab.removed], [1, 1, 1]);
+  assert.notDeepEqual(await stored('Qurtubah', '2026-09'), before);
+
+  const { tabs } = await rollbackSync({ snapshotId: second.snapshotId, sink });
+  assert.deepEqual(tabs.map(({ tabName }) => tabName), ['Revenue', 'Other', 'Summary', 'Anomalies']);
+  assert.deepEqual(await stored('Qurtubah', '2026-09'), before);
+  assert.equal((await stored('Al Salam', '2026-09')).tabs[0].rows.length, 1);
+  assert.ok((await loadSnapshot(second.snapshotId)).rolledBackAt);
+
+  await assert.rejects(rollbackSync({ snapshotId: second.snapshotId, sink }), { code: 'ROLLBACK_REFUSED' });
+});
+
+test('a rollback is refused while a later sync of the same tabs stands', async () => {
+  const first = await sync('Qurtubah', '2026-10', [['1', 'Dr A', '100']]);
+  const second = await sync('Qurtubah', '2026-10', [['1', 'Dr A', '120']]);
+  await assert.rejects(rollbackSync({ snapshotId: first.snapshotId, sink }), /replaced the same clinic\/period later/);
+
+  await rollbackSync({ snapshotId: second.snapshotId, sink });
+  await rollbackSync({ snapshotId: first.snapshotId, sink });
+  assert.deepEqual((await stored('Qurtubah', '2026-10')).tabs[0].rows, []);
+});
+
+test('every tab of the snapshot is checked for later syncs', async () => {
+  const first = await sync('Qurtubah', '2026-11', [['1', 'Dr A', '100']]);
+  const snapshot = await loadSnapshot(first.snapshotId);
+  // Its first tab covers another month than the rest...
+  const [firstTab, ...otherTabs] = snapshot.tabs;
+  await saveSnapshot({ ...snapshot, tabs: [{ ...firstTab, targetDate: '2026-12-01' }, ...otherTabs] });
+  // ...and a later sync only shares its last tab.
+  await saveSnapshot({
+    ...snapshot,
+    id: `${snapshot.id}-later`,
+    createdAt: new Date(Date.parse(snapshot.createdAt) + 1000).toISOString(),
+    tabs: [otherTabs[otherTabs.length - 1]],
+  });
+
+  await assert.rejects(rollbackSync({ snapshotId: first.snapshotId, sink }), new RegExp(`${snapshot.id}-later`));
+  await rollbackSync({ snapshotId: first.snapshotId, sink, force: true });
+});
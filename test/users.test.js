@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+process.env.DATA_DIR = dataDir;
+const { createUser, updateUser, deleteUser, listUsers, verifyCredentials, canAccessClinic, allowedClinics } = require('../users');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('passwords are stored as scrypt hashes and checked on login', async () => {
+  await createUser({ username: 'Nora', password: 'correct horse', clinics: ['Olaya'] });
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8')).users[0];
+  assert.match(stored.passwordHash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.doesNotMatch(stored.passwordHash, /correct horse/);
+
+  const user = await verifyCredentials('nora', 'correct horse');
+  assert.deepEqual({ ...user, createdAt: undefined }, { username: 'nora', role: 'submitter', clinics: ['Olaya'], createdAt: undefined });
+  assert.equal(await verifyCredentials('nora', 'wrong horse'), null);
+  assert.equal(await verifyCredentials('nobody', 'correct horse'), null);
+  assert.equal(await verifyCredentials('nora', undefined), null);
+});
+
+test('accounts are validated', async () => {
+  await assert.rejects(createUser({ username: 'nora', password: 'another one' }), /already exists/);
+  await assert.rejects(createUser({ username: 'x', password: 'long enough' }), /2-40 characters/);
+  await assert.rejects(createUser({ username: 'sami', password: 'short' }), /at least 8/);
+  await assert.rejects(createUser({ username: 'sami', password: 'long enough', role: 'owner' }), /Role must be/);
+  await assert.rejects(updateUser('ghost', { role: 'admin' }), /not found/);
+});
+
+test('password changes apply to the next login', async () => {
+  await updateUser('nora', { password: 'new password' });
+  assert.equal(await verifyCredentials('nora', 'correct horse'), null);
+  assert.equal((await verifyCredentials('nora', 'new password')).username, 'nora');
+});
+
+test('concurrent account changes are all kept', async () => {
+  await Promise.all([
+    createUser({ username: 'sami', password: 'long enough', role: 'supervisor' }),
+    createUser({ username: 'hala', password: 'long enough', role: 'admin' }),
+    updateUser('nora', { clinics: ['Olaya', 'Al Salam'] }),
+  ]);
+  const users = await listUsers();
+  assert.deepEqual(users.map(({ username }) => username).sort(), ['hala', 'nora', 'sami']);
+  assert.deepEqual(users.find(({ username }) => username === 'nora').clinics, ['Olaya', 'Al Salam']);
+
+  await deleteUser('hala');
+  await assert.rejects(deleteUser('hala'), /not found/);
+});
+
+test('canAccessClinic follows the role', () => {
+  const submitter = { username: 'nora', role: 'submitter', clinics: ['Olaya'] };
+  const supervisor = { username: 'sami', role: 'supervisor', clinics: [] };
+  const admin = { username: 'hala', role: 'admin', clinics: [] };
+
+  assert.equal(canAccessClinic(submitter, 'Olaya'), true);
+  assert.equal(canAccessClinic(submitter, 'Al Salam'), false);
+  assert.equal(canAccessClinic(submitter, ''), false);
+  assert.equal(canAccessClinic(supervisor, 'Al Salam'), true);
+  assert.equal(canAccessClinic(admin, 'Al Salam'), true);
+  assert.equal(canAccessClinic(null, 'Olaya'), false);
+  assert.deepEqual(allowedClinics(submitter, ['Al Salam', 'Olaya']), ['Olaya']);
+  assert.deepEqual(allowedClinics(supervisor, ['Al Salam', 'Olaya']), ['Al Salam', 'Olaya']);
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+
+// HIS exports without a BOM or charset declaration that are not valid UTF-8
+// come from Arabic Windows. Override with REPORT_LEGACY_ENCODING.
+const LEGACY_ENCODING = process.env.REPORT_LEGACY_ENCODING || 'windows-1256';
+// Enough of the file to find the BOM, <meta charset> or <?xml encoding?>.
+const SNIFF_BYTES = 64 * 1024;
+// Marks that only steer display direction: LRM, RLM, ALM, LRE/RLE/PDF/LRO/RLO and LRI/RLI/FSI/PDI.
+const BIDI_MARKS = /[\u200e\u200f\u061c\u202a-\u202e\u2066-\u2069]/g;
+
+/**
+ * Charset of a report file from its first bytes, as a TextDecoder label:
+ * the BOM, else UTF-16 without a BOM (every other byte NUL), else (for
+ * `markup`) a <meta charset>, http-equiv Content-Type or <?xml encoding?>
+ * declaration, else UTF-8 when the bytes are valid UTF-8, else
+ * LEGACY_ENCODING.
+ */
+function detectEncoding(head, { markup = false } = {}) {
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return 'utf-8';
+  if (head[0] === 0xff && head[1] === 0xfe) return 'utf-16le';
+  if (head[0] === 0xfe && head[1] === 0xff) return 'utf-16be';
+
+  const utf16 = guessUtf16(head);
+  if (utf16) return utf16;
+
+  if (markup) {
+    const declared = declaredCharset(head.toString('latin1'));
+    if (declared) return declared;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return LEGACY_ENCODING;
+  }
+}
+
+/** Decode a whole file to a string without its BOM; resolves to { text, encoding }. */
+async function readTextFile(filePath, { markup = false } = {}) {
+  const buffer = await fs.promises.readFile(filePath);
+  const encoding = detectEncoding(buffer.subarray(0, SNIFF_BYTES), { markup });
+  return { text: new TextDecoder(encoding).decode(buffer), encoding };
+}
+
+function readTextFileSync(filePath, { markup = false } = {}) {
+  const buffer = fs.readFileSync(filePath);
+  const encoding = detectEncoding(buffer.subarray(0, SNIFF_BYTES), { markup });
+  return { text: new TextDecoder(encoding).decode(buffer), encoding };
+}
+
+/** Transform stream from raw bytes in `encoding` to text, BOM dropped. */
+function createDecodeStream(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+}
+
+/** Drop invisible direction marks; Sheets shows them as stray characters and they break matching. */
+function stripBidiMarks(value) {
+  return value.replace(BIDI_MARKS, '');
+}
+
+function declaredCharset(head) {
+  const match =
+    head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w:.-]+)/i) ||
+    head.match(/<\?xml[^>]*\sencoding\s*=\s*["']([\w:.-]+)["']/i);
+  if (!match) return null;
+  try {
+    const { encoding } = new TextDecoder(match[1]);
+    // Readable as ASCII means it is not really UTF-16, whatever the tag says (browsers agree).
+    return encoding.startsWith('utf-16') ? null : encoding;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** UTF-16 text without a BOM: mostly-ASCII content leaves NUL in every other byte. */
+function guessUtf16(head) {
+  const length = Math.min(head.length, 512) & ~1;
+  if (length < 4) return null;
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (head[i] === 0) evenNuls += 1;
+    if (head[i + 1] === 0) oddNuls += 1;
+  }
+  const pairs = length / 2;
+  if (oddNuls > pairs * 0.4 && evenNuls === 0) return 'utf-16le';
+  if (evenNuls > pairs * 0.4 && oddNuls === 0) return 'utf-16be';
+  return null;
+}
+
+module.exports = {
+  detectEncoding,
+  readTextFile,
+  readTextFileSync,
+  createDecodeStream,
+  stripBidiMarks,
+};
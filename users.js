@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { dataPath, readJsonFile, updateJsonFile } = require('./data-store');
+
+const USERS_PATH = dataPath('users.json');
+const ROLES = ['submitter', 'supervisor', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Local accounts, stored in data/users.json as
+ *
+ *   { users: [{ username, role, clinics, passwordHash, createdAt }] }
+ *
+ * Submitters may only submit for (and see) their `clinics`; supervisors and
+ * admins cover every clinic, and only admins manage accounts. Passwords are
+ * kept as "scrypt:<salt>:<hash>" in hex.
+ */
+async function listUsers() {
+  const store = await readJsonFile(USERS_PATH, { users: [] });
+  return store.users.map(publicUser);
+}
+
+async function findUser(username) {
+  const store = await readJsonFile(USERS_PATH, { users: [] });
+  const user = store.users.find((entry) => entry.username === normalizeUsername(username));
+  return user ? publicUser(user) : null;
+}
+
+async function createUser({ username, password, role = 'submitter', clinics = [] }) {
+  const name = normalizeUsername(username);
+  if (!/^[a-z0-9._-]{2,40}$/.test(name)) {
+    throw new Error('Usernames are 2-40 characters: letters, digits, ".", "_" or "-".');
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  const passwordHash = await hashPassword(password);
+  let user = null;
+  await updateJsonFile(USERS_PATH, { users: [] }, (store) => {
+    if (store.users.some((entry) => entry.username === name)) {
+      throw new Error(`User "${name}" already exists.`);
+    }
+
+    user = {
+      username: name,
+      role,
+      clinics: role === 'submitter' ? [...new Set(clinics)] : [],
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    return { ...store, users: [...store.users, user] };
+  });
+  return publicUser(user);
+}
+
+/** Change role, clinics and/or password; omitted fields are left alone. */
+async function updateUser(username, { role, clinics, password } = {}) {
+  const name = normalizeUsername(username);
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+  const passwordHash = password === undefined ? null : await hashPassword(password);
+
+  let user = null;
+  await updateJsonFile(USERS_PATH, { users: [] }, (store) => {
+    user = store.users.find((entry) => entry.username === name);
+    if (!user) {
+      throw new Error(`User "${name}" not found.`);
+    }
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (clinics !== undefined) {
+      user.clinics = [...new Set(clinics)];
+    }
+    if (user.role !== 'submitter') {
+      user.clinics = [];
+    }
+    if (passwordHash) {
+      user.passwordHash = passwordHash;
+    }
+  });
+  return publicUser(user);
+}
+
+async function deleteUser(username) {
+  const name = normalizeUsername(username);
+  await updateJsonFile(USERS_PATH, { users: [] }, (store) => {
+    const users = store.users.filter((entry) => entry.username !== name);
+    if (users.length === store.users.length) {
+      throw new Error(`User "${name}" not found.`);
+    }
+    return { ...store, users };
+  });
+}
+
+/** Resolves to the user (without its hash) when the password matches, else null. */
+async function verifyCredentials(username, password) {
+  const store = await readJsonFile(USERS_PATH, { users: [] });
+  const user = store.users.find((entry) => entry.username === normalizeUsername(username));
+  if (!user || typeof password !== 'string') return null;
+  return (await verifyPassword(password, user.passwordHash)) ? publicUser(user) : null;
+}
+
+function canAccessClinic(user, clinic) {
+  if (!user) return false;
+  if (user.role === 'supervisor' || user.role === 'admin') return true;
+  return Boolean(clinic) && user.clinics.includes(clinic);
+}
+
+/** Clinics from `allClinics` the user may submit for or view. */
+function allowedClinics(user, allClinics) {
+  return allClinics.filter((clinic) => canAccessClinic(user, clinic));
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}.`);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+function publicUser({ username, role, clinics, createdAt }) {
+  return { username, role, clinics: clinics || [], createdAt };
+}
+
+async function main() {
+  const { command, username, role, clinics, password } = parseArgs(process.argv.slice(2));
+  const clinicList = clinics === undefined ? undefined : clinics.split(',').map((clinic) => clinic.trim()).filter(Boolean);
+
+  switch (command) {
+    case 'list': {
+      const users = await listUsers();
+      if (!users.length) {
+        console.log('No users yet. Create one with: node users.js add <username> --role admin --password <password>');
+      }
+      users.forEach((user) => {
+        console.log(`${user.username}\t${user.role}\t${user.clinics.join(', ') || (user.role === 'submitter' ? '(no clinics)' : 'all clinics')}`);
+      });
+      return;
+    }
+    case 'add': {
+      const user = await createUser({ username, password, role: role || 'submitter', clinics: clinicList || [] });
+      console.log(`Created ${user.role} "${user.username}".`);
+      return;
+    }
+    case 'update': {
+      const user = await updateUser(username, { role, clinics: clinicList, password });
+      console.log(`Updated "${user.username}" (${user.role}).`);
+      return;
+    }
+    case 'remove':
+      await deleteUser(username);
+      console.log(`Removed "${normalizeUsername(username)}".`);
+      return;
+    default:
+      console.error('Usage: node users.js list | add <username> --password <pw> [--role submitter|supervisor|admin] [--clinics "A,B"]');
+      console.error('       node users.js update <username> [--password <pw>] [--role ...] [--clinics ...] | remove <username>');
+      process.exit(1);
+  }
+}
+
+function parseArgs(args) {
+  const positional = [];
+  let role;
+  let clinics;
+  let password = process.env.USER_PASSWORD;
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--role' && args[i + 1]) { role = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--role=')) { role = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--clinics' && args[i + 1] !== undefined) { clinics = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--clinics=')) { clinics = arg.split('=').slice(1).join('='); continue; }
+
+    if (arg === '--password' && args[i + 1]) { password = args[i + 1]; i += 1; continue; }
+    if (arg.startsWith('--password=')) { password = arg.split('=').slice(1).join('='); continue; }
+
+    positional.push(arg);
+  }
+
+  const [command, username] = positional;
+  return { command, username, role, clinics, password };
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ROLES,
+  listUsers,
+  findUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials,
+  canAccessClinic,
+  allowedClinics,
+};